@@ -18,8 +18,14 @@
 "use strict";
 
 let addIcon;
+let criteriasText = "";
+let groupByDomainText = "";
+let defaultProfile = {};
 let loadingText = "";
 let messageText = "";
+let orderTexts = {};
+let pinTexts = {};
+let profileText = "";
 let recursiveText = "";
 let removeIcon;
 let fetching = new Set();
@@ -63,6 +69,140 @@ function toggleChildren(parentID, image, children, recursiveCheckbox) {
 	};
 }
 
+function appendProfileEditor(folder, listItem) {
+	let editor = document.createElement("div");
+	editor.className = "profile";
+
+	let profileCheckbox = document.createElement("input");
+	profileCheckbox.type = "checkbox";
+	profileCheckbox.id = "profile-" + folder.id;
+	profileCheckbox.checked = folder.profile !== undefined;
+	profileCheckbox.className = "profile-checkbox";
+	editor.appendChild(profileCheckbox);
+
+	let profileLabel = document.createElement("label");
+	profileLabel.textContent = profileText;
+	profileLabel.htmlFor = profileCheckbox.id;
+	editor.appendChild(profileLabel);
+
+	let profile = folder.profile || {};
+	let fields = document.createElement("div");
+	fields.className = "profile-fields";
+
+	let criteriasInput = document.createElement("input");
+	criteriasInput.type = "text";
+	criteriasInput.placeholder = criteriasText;
+	criteriasInput.value = profile.criterias || "";
+	fields.appendChild(criteriasInput);
+
+	// Only the fields the user changed override the global preferences.
+	let overriddenOrders = new Set(Object.keys(profile.order || {}));
+	let overridesGroupByDomain = profile.groupByDomain !== undefined;
+
+	let orderInputs = {};
+	for (let type of ["folder", "livemark", "smartBookmark", "query", "bookmark"]) {
+		let orderLabel = document.createElement("label");
+		orderLabel.textContent = orderTexts[type];
+
+		let orderInput = document.createElement("input");
+		orderInput.type = "number";
+		orderInput.min = 1;
+		orderInput.max = 4;
+		orderInput.value = profile.order && profile.order[type] !== undefined ? profile.order[type] : defaultProfile.order[type];
+		orderLabel.appendChild(orderInput);
+
+		orderInput.addEventListener("change", function () {
+			overriddenOrders.add(type);
+		}, false);
+
+		orderInputs[type] = orderInput;
+		fields.appendChild(orderLabel);
+	}
+
+	let groupByDomainLabel = document.createElement("label");
+	let groupByDomainCheckbox = document.createElement("input");
+	groupByDomainCheckbox.type = "checkbox";
+	groupByDomainCheckbox.checked = profile.groupByDomain !== undefined ? profile.groupByDomain : defaultProfile.groupByDomain;
+	groupByDomainCheckbox.addEventListener("change", function () {
+		overridesGroupByDomain = true;
+	}, false);
+	groupByDomainLabel.appendChild(groupByDomainCheckbox);
+	groupByDomainLabel.appendChild(document.createTextNode(groupByDomainText));
+	fields.appendChild(groupByDomainLabel);
+
+	editor.appendChild(fields);
+
+	function sendProfile() {
+		let newProfile = null;
+		if (profileCheckbox.checked) {
+			newProfile = {};
+
+			if (criteriasInput.value.trim()) {
+				newProfile.criterias = criteriasInput.value.trim();
+			}
+
+			if (overridesGroupByDomain) {
+				newProfile.groupByDomain = groupByDomainCheckbox.checked;
+			}
+
+			for (let type of overriddenOrders) {
+				newProfile.order = newProfile.order || {};
+				newProfile.order[type] = parseInt(orderInputs[type].value, 10) || defaultProfile.order[type];
+			}
+		}
+
+		self.port.emit("profile-change", folder.id, newProfile);
+	}
+
+	profileCheckbox.addEventListener("change", sendProfile, false);
+	fields.addEventListener("change", sendProfile, false);
+
+	listItem.appendChild(editor);
+}
+
+function appendPinEditor(item, listItem) {
+	let editor = document.createElement("div");
+	editor.className = "pin";
+
+	let pin = item.pin || {};
+
+	let positionSelect = document.createElement("select");
+	for (let position of ["none", "top", "bottom"]) {
+		let option = document.createElement("option");
+		option.value = position;
+		option.textContent = pinTexts[position];
+		option.selected = (pin.position || "none") === position;
+		positionSelect.appendChild(option);
+	}
+	editor.appendChild(positionSelect);
+
+	let rankLabel = document.createElement("label");
+	rankLabel.textContent = pinTexts.rank;
+
+	let rankInput = document.createElement("input");
+	rankInput.type = "number";
+	rankInput.min = 0;
+	rankInput.value = pin.rank || 0;
+	rankInput.disabled = positionSelect.value === "none";
+	rankLabel.appendChild(rankInput);
+	editor.appendChild(rankLabel);
+
+	editor.addEventListener("change", function() {
+		let newPin = null;
+		rankInput.disabled = positionSelect.value === "none";
+		if (positionSelect.value !== "none") {
+			newPin = {
+				position: positionSelect.value,
+				rank: parseInt(rankInput.value, 10) || 0,
+			};
+		}
+
+		self.port.emit("pin-change", item.id, newPin);
+	}, false);
+
+	listItem.appendChild(editor);
+}
+
 function appendFolder(folder, list) {
 	let listItem = document.createElement("li");
 
@@ -114,18 +254,42 @@ function appendFolder(folder, list) {
 	message.textContent = messageText;
 	listItem.appendChild(message);
 
+	// The root folders cannot be pinned.
+	if (folder.pin !== undefined) {
+		appendPinEditor(folder, listItem);
+	}
+
+	appendProfileEditor(folder, listItem);
+
 	listItem.appendChild(children);
 
 	list.appendChild(listItem);
 }
 
-function appendFolders(folders, list) {
+function appendBookmark(bookmark, list) {
+	let listItem = document.createElement("li");
+	listItem.id = "bookmark-" + bookmark.id;
+	listItem.className = "bookmark";
+
+	let label = document.createElement("label");
+	label.textContent = bookmark.title;
+	listItem.appendChild(label);
+
+	appendPinEditor(bookmark, listItem);
+
+	list.appendChild(listItem);
+}
+
+function appendFolders(folders, bookmarks, list) {
 	while (list.firstChild) {
 		list.removeChild(list.firstChild);
 	}
 	for (let folder of folders) {
 		appendFolder(folder, list);
 	}
+	for (let bookmark of bookmarks) {
+		appendBookmark(bookmark, list);
+	}
 }
 
 self.port.on("remove-folder", function(folderID) {
@@ -136,16 +300,29 @@ self.port.on("remove-folder", function(folderID) {
 	}
 });
 
-self.port.on("children", function(parentID, children) {
+self.port.on("remove-bookmark", function(bookmarkID) {
+	let bookmark = document.querySelector("#bookmark-" + bookmarkID);
+	if (bookmark) {
+		bookmark.parentNode.removeChild(bookmark);
+	}
+});
+
+self.port.on("children", function(parentID, children, bookmarks) {
 	let list = document.querySelector("#folder-" + parentID);
-	appendFolders(children, list);
+	appendFolders(children, bookmarks, list);
 	fetching.delete(parentID);
 });
 
-self.port.on("init", function(folders, plusIcon, minusIcon, texts) {
+self.port.on("init", function(folders, plusIcon, minusIcon, texts, profile) {
 	recursiveText = texts.recursiveText;
 	messageText = texts.messageText;
 	loadingText = texts.loadingText;
+	profileText = texts.profileText;
+	criteriasText = texts.criteriasText;
+	orderTexts = texts.orderTexts;
+	pinTexts = texts.pinTexts;
+	groupByDomainText = texts.groupByDomainText;
+	defaultProfile = profile;
 	addIcon = plusIcon;
 	removeIcon = minusIcon;
 
@@ -156,5 +333,5 @@ self.port.on("init", function(folders, plusIcon, minusIcon, texts) {
 		document.body.appendChild(rootFolders);
 	}
 
-	appendFolders(folders, rootFolders);
+	appendFolders(folders, [], rootFolders);
 });
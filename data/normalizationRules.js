@@ -0,0 +1,108 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+let texts = {};
+
+function getRules() {
+	let rules = [];
+	for (let row of document.querySelectorAll("#rules tr")) {
+		let inputs = row.querySelectorAll("input");
+		rules.push({
+			find: inputs[0].value,
+			replace: inputs[1].value,
+			flags: inputs[2].value,
+		});
+	}
+
+	return rules;
+}
+
+function sendRules() {
+	self.port.emit("rules-change", getRules(), document.querySelector("#sample").value);
+}
+
+function saveRules() {
+	self.port.emit("rules-save", getRules());
+}
+
+function createInput(value, placeholder, size) {
+	let cell = document.createElement("td");
+	let input = document.createElement("input");
+	input.type = "text";
+	input.value = value;
+	input.placeholder = placeholder;
+	input.size = size;
+	input.addEventListener("input", sendRules, false);
+	cell.appendChild(input);
+	return cell;
+}
+
+function appendRule(rule) {
+	let row = document.createElement("tr");
+
+	row.appendChild(createInput(rule.find || "", texts.findText, 30));
+	row.appendChild(createInput(rule.replace || "", texts.replaceText, 20));
+	row.appendChild(createInput(rule.flags === undefined ? "g" : rule.flags, texts.flagsText, 4));
+
+	let cell = document.createElement("td");
+	let button = document.createElement("button");
+	button.textContent = texts.removeText;
+	button.addEventListener("click", function() {
+		row.parentNode.removeChild(row);
+		sendRules();
+	}, false);
+	cell.appendChild(button);
+	row.appendChild(cell);
+
+	let error = document.createElement("td");
+	error.className = "error";
+	row.appendChild(error);
+
+	document.querySelector("#rules").appendChild(row);
+}
+
+self.port.on("result", function(errors, normalized) {
+	let errorCells = document.querySelectorAll("#rules .error");
+	for (let i = 0; i < errorCells.length; ++i) {
+		errorCells[i].textContent = errors[i] || "";
+	}
+
+	document.querySelector("#result").textContent = normalized;
+});
+
+self.port.on("init", function(rules, initTexts) {
+	texts = initTexts;
+
+	let list = document.querySelector("#rules");
+	while (list.firstChild) {
+		list.removeChild(list.firstChild);
+	}
+
+	for (let rule of rules) {
+		appendRule(rule);
+	}
+});
+
+document.querySelector("#add-rule").addEventListener("click", function() {
+	appendRule({});
+}, false);
+
+document.querySelector("#save-rules").addEventListener("click", saveRules, false);
+
+document.querySelector("#sample").addEventListener("input", sendRules, false);
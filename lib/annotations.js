@@ -19,31 +19,25 @@
 
 const {Cc, Ci} = require("chrome");
 const annotationService = Cc["@mozilla.org/browser/annotation-service;1"].getService(Ci.nsIAnnotationService);
+const {getCurrentSnapshot} = require("lib/tree-snapshot");
+const anchorAnnotation = "autosortbookmarks/anchor";
 const descriptionAnnotation = "bookmarkProperties/description";
+const headerAnnotation = "autosortbookmarks/header";
 const livemarkAnnotation = "livemark/siteURI";
+const managedAnnotation = "autosortbookmarks/managed";
+const pinAnnotation = "autosortbookmarks/pin";
+const profileAnnotation = "autosortbookmarks/profile";
 const smartBookmarkAnnotation = "Places/SmartBookmark";
 
 /**
- * Get the item description.
- * @param {int} itemID The item ID.
- * @return {string} The item description.
+ * Get an item annotation, from the tree snapshot when one is used.
  */
-function getDescription(item) {
-    let description;
-    try {
-        description = annotationService.getItemAnnotation(item.id, descriptionAnnotation);
-    }
-    catch (exception) {
-        description = "";
+function getItemAnnotation(itemID, name) {
+    let snapshot = getCurrentSnapshot();
+    if (snapshot !== null) {
+        return snapshot.getAnnotation(itemID, name);
     }
 
-    return description;
-}
-
-/**
- * Get an item annotation.
- */
-function getItemAnnotation(itemID, name) {
     let annotation;
     try {
         annotation = annotationService.getItemAnnotation(itemID, name);
@@ -55,6 +49,59 @@ function getItemAnnotation(itemID, name) {
     return annotation;
 }
 
+/**
+ * Get the item description.
+ * @param {int} itemID The item ID.
+ * @return {string} The item description.
+ */
+function getDescription(item) {
+    let description = getItemAnnotation(item.id, descriptionAnnotation);
+    return description !== undefined ? description : "";
+}
+
+/**
+ * Get the index where an item is anchored.
+ * @param {int} itemID The item ID.
+ * @return {int} The anchor index or undefined if the item is not anchored.
+ */
+function getAnchorAnnotation(itemID) {
+    return getItemAnnotation(itemID, anchorAnnotation);
+}
+
+/**
+ * Get the pin of an item.
+ * @param {int} itemID The item ID.
+ * @return {{position: string, rank: int}} The pin position ("top" or "bottom") and rank or undefined if the item is not pinned.
+ */
+function getPinAnnotation(itemID) {
+    let annotation = getItemAnnotation(itemID, pinAnnotation);
+    if (annotation !== undefined) {
+        try {
+            return JSON.parse(annotation);
+        }
+        catch (exception) {
+            console.error("Invalid pin on item " + itemID + ": " + annotation);
+        }
+    }
+}
+
+/**
+ * Get the sort profile of a folder.
+ * @param {int} itemID The folder ID.
+ * @return {object} The sort profile or undefined if the folder has none.
+ */
+function getProfileAnnotation(itemID) {
+    let annotation = getItemAnnotation(itemID, profileAnnotation);
+    if (annotation !== undefined) {
+        try {
+            return JSON.parse(annotation);
+        }
+        catch (exception) {
+            console.error("Invalid sort profile on folder " + itemID + ": " + annotation);
+        }
+    }
+}
+
 /**
  * Check if an item has a do not sort annotation.
  */
@@ -63,6 +110,22 @@ function hasDoNotSortAnnotation(itemID) {
     return annotation !== undefined;
 }
 
+/**
+ * Check if an item is a section header created by this add-on.
+ */
+function hasHeaderAnnotation(itemID) {
+    let annotation = getItemAnnotation(itemID, headerAnnotation);
+    return annotation !== undefined;
+}
+
+/**
+ * Check if an item was created by this add-on.
+ */
+function hasManagedAnnotation(itemID) {
+    let annotation = getItemAnnotation(itemID, managedAnnotation);
+    return annotation !== undefined;
+}
+
 /**
  * Check if an item has a recursive annotation.
  */
@@ -71,6 +134,33 @@ function hasRecursiveAnnotation(itemID) {
     return annotation !== undefined;
 }
 
+/**
+ * Check if an annotation excludes a folder from the sort.
+ * @param {string} name The annotation name.
+ * @return {boolean} Whether the annotation is an exclusion annotation.
+ */
+function isExclusionAnnotation(name) {
+    return ["autosortbookmarks/donotsort", "autosortbookmarks/recursive"].indexOf(name) !== -1;
+}
+
+/**
+ * Check if an annotation is the sort profile of a folder.
+ * @param {string} name The annotation name.
+ * @return {boolean} Whether the annotation is a profile annotation.
+ */
+function isProfileAnnotation(name) {
+    return name === profileAnnotation;
+}
+
+/**
+ * Check if an annotation changes how the descendants of a folder are sorted (exclusion or sort profile).
+ * @param {string} name The annotation name.
+ * @return {boolean} Whether the annotation is a folder sort annotation.
+ */
+function isFolderSortAnnotation(name) {
+    return isExclusionAnnotation(name) || isProfileAnnotation(name);
+}
+
 /**
  * Check if an item is recursively excluded.
  */
@@ -84,7 +174,7 @@ function isRecursivelyExcluded(itemID) {
  * @return {boolean} Whether the item is a livemark or not.
  */
 function isLivemark(itemID) {
-    return annotationService.itemHasAnnotation(itemID, livemarkAnnotation);
+    return getItemAnnotation(itemID, livemarkAnnotation) !== undefined;
 }
 
 /**
@@ -93,7 +183,7 @@ function isLivemark(itemID) {
  * @return {boolean} Whether the item is a smart bookmark or not.
  */
 function isSmartBookmark(itemID) {
-    return annotationService.itemHasAnnotation(itemID, smartBookmarkAnnotation);
+    return getItemAnnotation(itemID, smartBookmarkAnnotation) !== undefined;
 }
 
 /**
@@ -103,6 +193,13 @@ function removeItemAnnotation(itemID, name) {
     annotationService.removeItemAnnotation(itemID, name);
 }
 
+/**
+ * Remove the anchor of an item.
+ */
+function removeAnchorAnnotation(itemID) {
+    removeItemAnnotation(itemID, anchorAnnotation);
+}
+
 /**
  * Remove the do not sort annotation on an item.
  */
@@ -110,6 +207,20 @@ function removeDoNotSortAnnotation(itemID) {
     removeItemAnnotation(itemID, "autosortbookmarks/donotsort");
 }
 
+/**
+ * Remove the pin of an item.
+ */
+function removePinAnnotation(itemID) {
+    removeItemAnnotation(itemID, pinAnnotation);
+}
+
+/**
+ * Remove the sort profile of a folder.
+ */
+function removeProfileAnnotation(itemID) {
+    removeItemAnnotation(itemID, profileAnnotation);
+}
+
 /**
  * Remove the recursive annotation on an item.
  */
@@ -127,6 +238,15 @@ function setItemAnnotation(itemID, name, value) {
     }
 }
 
+/**
+ * Anchor an item at a fixed index of its folder.
+ * @param {int} itemID The item ID.
+ * @param {int} index The anchor index.
+ */
+function setAnchorAnnotation(itemID, index) {
+    setItemAnnotation(itemID, anchorAnnotation, index);
+}
+
 /**
  * Set the do not sort annotation on an item.
  */
@@ -134,6 +254,38 @@ function setDoNotSortAnnotation(itemID) {
     setItemAnnotation(itemID, "autosortbookmarks/donotsort", true);
 }
 
+/**
+ * Set the annotation marking an item as a section header created by this add-on.
+ */
+function setHeaderAnnotation(itemID) {
+    setItemAnnotation(itemID, headerAnnotation, true);
+}
+
+/**
+ * Set the annotation marking an item as created by this add-on.
+ */
+function setManagedAnnotation(itemID) {
+    setItemAnnotation(itemID, managedAnnotation, true);
+}
+
+/**
+ * Pin an item to the top or the bottom of its folder.
+ * @param {int} itemID The item ID.
+ * @param {{position: string, rank: int}} pin The pin position ("top" or "bottom") and rank (the lowest rank comes first).
+ */
+function setPinAnnotation(itemID, pin) {
+    setItemAnnotation(itemID, pinAnnotation, JSON.stringify(pin));
+}
+
+/**
+ * Set the sort profile of a folder.
+ * @param {int} itemID The folder ID.
+ * @param {object} profile The sort profile.
+ */
+function setProfileAnnotation(itemID, profile) {
+    setItemAnnotation(itemID, profileAnnotation, JSON.stringify(profile));
+}
+
 /**
  * Set the recursive annotation on an item.
  */
@@ -141,16 +293,32 @@ function setRecursiveAnnotation(itemID) {
     setItemAnnotation(itemID, "autosortbookmarks/recursive", true);
 }
 
+exports.getAnchorAnnotation = getAnchorAnnotation;
 exports.getDescription = getDescription;
 exports.getItemAnnotation = getItemAnnotation;
+exports.getPinAnnotation = getPinAnnotation;
+exports.getProfileAnnotation = getProfileAnnotation;
 exports.hasDoNotSortAnnotation = hasDoNotSortAnnotation;
+exports.hasHeaderAnnotation = hasHeaderAnnotation;
+exports.hasManagedAnnotation = hasManagedAnnotation;
 exports.hasRecursiveAnnotation = hasRecursiveAnnotation;
+exports.isExclusionAnnotation = isExclusionAnnotation;
+exports.isFolderSortAnnotation = isFolderSortAnnotation;
 exports.isRecursivelyExcluded = isRecursivelyExcluded;
 exports.isLivemark = isLivemark;
+exports.isProfileAnnotation = isProfileAnnotation;
 exports.isSmartBookmark = isSmartBookmark;
+exports.removeAnchorAnnotation = removeAnchorAnnotation;
 exports.removeItemAnnotation = removeItemAnnotation;
 exports.removeDoNotSortAnnotation = removeDoNotSortAnnotation;
+exports.removePinAnnotation = removePinAnnotation;
+exports.removeProfileAnnotation = removeProfileAnnotation;
 exports.removeRecursiveAnnotation = removeRecursiveAnnotation;
+exports.setAnchorAnnotation = setAnchorAnnotation;
 exports.setItemAnnotation = setItemAnnotation;
 exports.setDoNotSortAnnotation = setDoNotSortAnnotation;
+exports.setHeaderAnnotation = setHeaderAnnotation;
+exports.setManagedAnnotation = setManagedAnnotation;
+exports.setPinAnnotation = setPinAnnotation;
+exports.setProfileAnnotation = setProfileAnnotation;
 exports.setRecursiveAnnotation = setRecursiveAnnotation;
@@ -18,9 +18,17 @@
 "use strict";
 
 const {Class} = require("sdk/core/heritage");
-const {isRecursivelyExcluded} = require("lib/annotations");
-const {Folder, menuFolder, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
-const {setTimeout} = require("sdk/timers");
+const {emit} = require("sdk/event/core");
+const {EventTarget} = require("sdk/event/target");
+const _ = require("sdk/l10n").get;
+const {merge} = require("sdk/util/object");
+const {isLivemark, isRecursivelyExcluded} = require("lib/annotations");
+const {parseCriteria} = require("lib/criteria");
+const {getCleanUrl, getHost, getSiteKey, normalize, parseUrl, removeIgnoredPrefix} = require("lib/sort-keys");
+const {Folder, getTags, Header, menuFolder, runSelfChange, Separator, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
+const {runWithSnapshot, TreeSnapshot} = require("lib/tree-snapshot");
+const {recordPositions, restorePositions} = require("lib/undo");
+const {clearTimeout, setTimeout} = require("sdk/timers");
 const {Cc, Ci, Cu} = require("chrome");
 const bookmarkService = Cc["@mozilla.org/browser/nav-bookmarks-service;1"].getService(Ci.nsINavBookmarksService);
 
@@ -50,10 +58,214 @@ function reverseBaseUrl(str) {
     return str;
 }
 
+/**
+ * The collation used when none is specified.
+ */
+const defaultCollation = {
+    locale: "",
+    options: {
+        caseFirst: "upper",
+        numeric: true,
+        sensitivity: "case",
+    },
+};
+
+/**
+ * Convert the criterias directions to the factors used by the comparators.
+ * @param {Array.<{criteria: string, reverse: boolean}>} criterias The sort criterias.
+ * @return {Array.<{criteria: string, reverse: int}>} The criterias with a reverse factor of 1 or -1.
+ */
+function toComparatorCriterias(criterias) {
+    return criterias.map(function (criteria) {
+        return {
+            criteria: criteria.criteria,
+            reverse: criteria.reverse ? -1 : 1,
+        };
+    });
+}
+
+/**
+ * Check if the items of `type` are sorted separately with the type `order`.
+ * @param {object} order The sort order of each item type.
+ * @param {string} type The item type name.
+ * @return {boolean} Whether the order of this type is different from the other types.
+ */
+function hasDistinctOrder(order, type) {
+    if (order[type] === undefined) {
+        return false;
+    }
+
+    for (let otherType of Object.keys(order)) {
+        if (otherType !== type && order[otherType] === order[type]) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+/**
+ * The position of the pinned items relative to the other items.
+ */
+const pinPositions = {
+    top: -1,
+    bottom: 1,
+};
+
+/**
+ * Compare the pins of two items: the items pinned to the top come first, then the items which are not pinned,
+ * then the items pinned to the bottom. The items pinned at the same position are ordered by rank.
+ * @param {Bookmark} bookmark1 The first item.
+ * @param {Bookmark} bookmark2 The second item.
+ * @return {int} The comparison result (0 if the pins do not decide the order).
+ */
+function comparePins(bookmark1, bookmark2) {
+    let position1 = bookmark1.pin ? pinPositions[bookmark1.pin.position] || 0 : 0;
+    let position2 = bookmark2.pin ? pinPositions[bookmark2.pin.position] || 0 : 0;
+
+    if (position1 !== position2) {
+        return position1 - position2;
+    }
+
+    if (position1 !== 0) {
+        return (bookmark1.pin.rank || 0) - (bookmark2.pin.rank || 0);
+    }
+
+    return 0;
+}
+
+/**
+ * Get the section of a title: its first letter without accent, in upper case, or "#" if it does not start with a letter.
+ * @param {string} title The title (without its ignored prefix).
+ * @return {string} The section name.
+ */
+function getTitleSection(title) {
+    let letter = title.trim().normalize("NFD").charAt(0).toLocaleUpperCase();
+    if (letter === "" || letter.toLocaleLowerCase() === letter) {
+        return "#";
+    }
+
+    return letter;
+}
+
+/**
+ * The criterias whose items can be grouped by date.
+ */
+const dateCriterias = ["dateAdded", "lastVisited"];
+
+/**
+ * Get the date section of a timestamp: "today", "week", "month", the year or "never" if there is no date.
+ * The week starts on monday.
+ * @param {int} time The timestamp, in microseconds.
+ * @param {int} now The current timestamp, in microseconds.
+ * @return {string} The section name.
+ */
+function getDateSection(time, now) {
+    if (!time) {
+        return "never";
+    }
+
+    let date = new Date(time / 1000);
+
+    let today = new Date(now / 1000);
+    today.setHours(0, 0, 0, 0);
+    if (date >= today) {
+        return "today";
+    }
+
+    let week = new Date(today.getTime());
+    week.setDate(today.getDate() - (today.getDay() + 6) % 7);
+    if (date >= week) {
+        return "week";
+    }
+
+    let month = new Date(today.getTime());
+    month.setDate(1);
+    if (date >= month) {
+        return "month";
+    }
+
+    return String(date.getFullYear());
+}
+
+/**
+ * Get the value of a field used in the sort rule expressions.
+ * @param {Item} bookmark The item.
+ * @param {string} field The field name.
+ * @return {*} The field value (an empty string if the item has none).
+ */
+function getRuleField(bookmark, field) {
+    let value;
+
+    switch (field) {
+        case "host":
+            value = getHost(bookmark.url);
+            break;
+        case "tags":
+            value = getTags(bookmark.url);
+            break;
+        default:
+            value = bookmark[field];
+    }
+
+    return value === undefined || value === null ? "" : value;
+}
+
+/**
+ * The folder criterias computed while walking all the folders.
+ */
+const folderStatCriterias = ["childCount", "descendantCount", "lastActivity"];
+
+/**
+ * Get a folder and its ancestors, up to the menu, toolbar or unsorted folder.
+ * @param {int} folderID The folder identifier.
+ * @return {Array.<Folder>} The folder followed by its ancestors, or undefined if the folder was removed, is a livemark or is
+ * not in the menu, toolbar or unsorted folders (like the tag folders).
+ */
+function getFolderPath(folderID) {
+    let roots = new Map();
+    for (let root of [menuFolder, toolbarFolder, unsortedFolder]) {
+        roots.set(root.id, root);
+    }
+
+    let path = [];
+
+    try {
+        if (bookmarkService.getItemType(folderID) !== bookmarkService.TYPE_FOLDER || isLivemark(folderID)) {
+            return undefined;
+        }
+
+        for (let id = folderID; id > 0; id = bookmarkService.getFolderIdForItem(id)) {
+            if (roots.has(id)) {
+                path.push(roots.get(id));
+                return path;
+            }
+
+            path.push(new Folder(id));
+        }
+    }
+    catch (exception) {
+        // The folder was removed.
+    }
+
+    return undefined;
+}
+
+/**
+ * Get the title of the header of a section.
+ * @param {string} section The section name.
+ * @return {string} The header title.
+ */
+function getHeaderTitle(section) {
+    return "— " + section + " —";
+}
+
 /**
  * Bookmark sorter class.
  */
 let BookmarkSorter = new Class({
+    extends: EventTarget,
+
     /**
      * Indicates if sorting is in progress.
      */
@@ -65,29 +277,84 @@ let BookmarkSorter = new Class({
     changed: false,
 
     /**
-     * Thread to check for change and start sorting if changed.
+     * Indicates if a folder was created since the last sort.
+     */
+    folderCreated: false,
+
+    /**
+     * Timer of the next sort.
+     */
+    timer: null,
+
+    /**
+     * Delay in milliseconds between the last change and the sort.
+     */
+    delay: 0,
+
+    /**
+     * Delay in milliseconds between the last change and the sort when a folder was created.
      */
-    thread: null,
+    folderDelay: 0,
 
     /**
-     * Delay for thread which checks for change.
+     * Number of items moved by the current or last sort.
      */
-    delay: 3000,
+    moveCount: 0,
+
+    /**
+     * Positions of the children of the folders changed by the last sort of all bookmarks which changed something.
+     */
+    lastSortRecords: null,
 
     /**
      * Get a bookmark sorter.
      * @constructor
      */
-    initialize: function () {
-        this.sortIfChanged();
+    initialize: function (options) {
+        EventTarget.prototype.initialize.call(this, options);
+        this.dirtyFolders = new Set();
+        this.folderTimers = new Set();
+        this.profileCompares = new Map();
+    },
+
+    /**
+     * Check if there is a sort to undo.
+     * @return {boolean} Whether a sort of all bookmarks changed something since the last undo.
+     */
+    canUndo: function () {
+        return this.lastSortRecords !== null;
     },
 
+
     /**
      * Create a bookmark comparator.
+     * @param {object} profile The folder sort profile overriding the sort criteria (optional).
      */
-    createCompare: function () {
+    createCompare: function (profile) {
         let comparator;
 
+        profile = profile || {};
+
+        let criterias = BookmarkSorter.prototype.criterias;
+        if (profile.criterias !== undefined) {
+            criterias = toComparatorCriterias(parseCriteria(profile.criterias));
+        }
+
+        let order = merge({}, BookmarkSorter.prototype.order, profile.order || {});
+
+        let groupByDomain = BookmarkSorter.prototype.groupByDomain;
+        if (profile.groupByDomain !== undefined) {
+            groupByDomain = profile.groupByDomain;
+        }
+
+        function getOrder(bookmark) {
+            if (order[bookmark.type] !== undefined) {
+                return order[bookmark.type];
+            }
+
+            return bookmark.order;
+        }
+
         function checkCorruptedAndOrder(bookmark1, bookmark2) {
             if (bookmark1.corrupted) {
                 if (bookmark2.corrupted) {
@@ -100,101 +367,300 @@ let BookmarkSorter = new Class({
                 return -1;
             }
 
-            if (bookmark1.order !== bookmark2.order) {
-                return bookmark1.order - bookmark2.order;
+            let order1 = getOrder(bookmark1);
+            let order2 = getOrder(bookmark2);
+            if (order1 !== order2) {
+                return order1 - order2;
             }
         }
 
-        function addReverseUrls(bookmark1, bookmark2, criteria) {
-            if (criteria === "revurl") {
-                bookmark1.revurl = reverseBaseUrl(bookmark1.url);
-                bookmark2.revurl = reverseBaseUrl(bookmark2.url);
+        let keys = new WeakMap();
+
+        function createKey(bookmark, criteria) {
+            let normalizationRules = BookmarkSorter.prototype.normalizationRules;
+
+            switch (criteria) {
+                case "domain":
+                    return getHost(bookmark.url);
+                case "cleanurl":
+                    return getCleanUrl(normalize(bookmark.url, normalizationRules));
+                case "host":
+                    return getHost(normalize(bookmark.url, normalizationRules));
+                case "path":
+                    return parseUrl(normalize(bookmark.url, normalizationRules)).path;
+                case "scheme":
+                    return parseUrl(normalize(bookmark.url, normalizationRules)).scheme;
+                case "site":
+                    return getSiteKey(normalize(bookmark.url, normalizationRules));
+                case "revurl":
+                    return reverseBaseUrl(normalize(bookmark.url, normalizationRules));
+                case "title":
+                    return removeIgnoredPrefix(normalize(bookmark.title, normalizationRules), BookmarkSorter.prototype.ignoredPrefixes);
+                case "url":
+                case "description":
+                case "keyword":
+                    return normalize(bookmark[criteria], normalizationRules);
             }
+
+            return bookmark[criteria];
         }
 
-        let compareOptions = {
-            caseFirst: "upper",
-            numeric: true,
-            sensitivity: "case",
-        };
+        function getKey(bookmark, criteria) {
+            let bookmarkKeys = keys.get(bookmark);
+            if (bookmarkKeys === undefined) {
+                bookmarkKeys = {};
+                keys.set(bookmark, bookmarkKeys);
+            }
+
+            if (!bookmarkKeys.hasOwnProperty(criteria)) {
+                bookmarkKeys[criteria] = createKey(bookmark, criteria);
+            }
 
-        if (BookmarkSorter.prototype.caseInsensitive) {
-            compareOptions.sensitivity = "base";
+            return bookmarkKeys[criteria];
         }
 
-        let firstComparator;
-        if (["title", "url", "revurl", "description", "keyword"].indexOf(BookmarkSorter.prototype.firstSortCriteria) !== -1) {
-            firstComparator = function (bookmark1, bookmark2) {
-                addReverseUrls(bookmark1, bookmark2, BookmarkSorter.prototype.firstSortCriteria);
-                return bookmark1[BookmarkSorter.prototype.firstSortCriteria].localeCompare(bookmark2[BookmarkSorter.prototype.firstSortCriteria], undefined, compareOptions) * BookmarkSorter.prototype.firstReverse;
-            };
+        let collation = BookmarkSorter.prototype.collation;
+        let collator;
+
+        try {
+            collator = new Intl.Collator(collation.locale || undefined, collation.options);
         }
-        else {
-            firstComparator = function (bookmark1, bookmark2) {
-                return (bookmark1[BookmarkSorter.prototype.firstSortCriteria] - bookmark2[BookmarkSorter.prototype.firstSortCriteria]) * BookmarkSorter.prototype.firstReverse;
-            };
+        catch (exception) {
+            console.error("Invalid collation locale: " + collation.locale);
+            collator = new Intl.Collator(undefined, collation.options);
         }
 
-        let secondComparator;
-        if (BookmarkSorter.prototype.secondSortCriteria !== undefined) {
-            if (["title", "url", "revurl", "description", "keyword"].indexOf(BookmarkSorter.prototype.secondSortCriteria) !== -1) {
-                secondComparator = function (bookmark1, bookmark2) {
-                    addReverseUrls(bookmark1, bookmark2, BookmarkSorter.prototype.secondSortCriteria);
-                    return bookmark1[BookmarkSorter.prototype.secondSortCriteria].localeCompare(bookmark2[BookmarkSorter.prototype.secondSortCriteria], undefined, compareOptions) * BookmarkSorter.prototype.secondReverse;
-                };
+        function compareKeys(key1, key2) {
+            if (Array.isArray(key1)) {
+                let result = 0;
+                for (let i = 0; i < key1.length && result === 0; ++i) {
+                    result = collator.compare(key1[i], key2[i]);
+                }
+
+                return result;
             }
-            else {
-                secondComparator = function (bookmark1, bookmark2) {
-                    return (bookmark1[BookmarkSorter.prototype.secondSortCriteria] - bookmark2[BookmarkSorter.prototype.secondSortCriteria]) * BookmarkSorter.prototype.secondReverse;
+
+            return collator.compare(key1, key2);
+        }
+
+        function createCriteriaComparator(criteria, reverse) {
+            if (["title", "url", "revurl", "site", "host", "path", "scheme", "cleanurl", "description", "keyword"].indexOf(criteria) !== -1) {
+                return function (bookmark1, bookmark2) {
+                    return compareKeys(getKey(bookmark1, criteria), getKey(bookmark2, criteria)) * reverse;
                 };
             }
+
+            return function (bookmark1, bookmark2) {
+                return (bookmark1[criteria] - bookmark2[criteria]) * reverse;
+            };
         }
-        else {
-            secondComparator = function () {
-                return 0;
+
+        // Boolean keys put the items matching the expression first.
+        function compareRuleValues(value1, value2) {
+            if (typeof value1 !== typeof value2) {
+                value1 = String(value1);
+                value2 = String(value2);
+            }
+
+            switch (typeof value1) {
+                case "boolean":
+                    return value2 - value1;
+                case "number":
+                    return value1 - value2;
+            }
+
+            return collator.compare(value1, value2);
+        }
+
+        function createRuleComparator(key) {
+            let reverse = key.reverse ? -1 : 1;
+            let values = new WeakMap();
+
+            function getValue(bookmark) {
+                if (!values.has(bookmark)) {
+                    values.set(bookmark, key.evaluate(function (field) {
+                        return getRuleField(bookmark, field);
+                    }));
+                }
+
+                return values.get(bookmark);
+            }
+
+            return function (bookmark1, bookmark2) {
+                return compareRuleValues(getValue(bookmark1), getValue(bookmark2)) * reverse;
             };
         }
 
+        // The sort rule keys come first, the criterias break the ties.
+        let ruleKeys = BookmarkSorter.prototype.sortRule || [];
+        let comparators = ruleKeys.map(createRuleComparator).concat(criterias.map(function (criteria) {
+            return createCriteriaComparator(criteria.criteria, criteria.reverse);
+        }));
+
         let itemComparator = function (bookmark1, bookmark2) {
-            return firstComparator(bookmark1, bookmark2) || secondComparator(bookmark1, bookmark2);
+            let result = 0;
+            for (let i = 0; i < comparators.length && result === 0; ++i) {
+                result = comparators[i](bookmark1, bookmark2);
+            }
+
+            return result;
         };
 
-        if (BookmarkSorter.prototype.differentFolderOrder) {
-            if (BookmarkSorter.prototype.folderSortCriteria !== undefined) {
-                comparator = function (bookmark1, bookmark2) {
-                    if (bookmark1 instanceof Folder && bookmark2 instanceof Folder) {
-                        if (["title", "description"].indexOf(BookmarkSorter.prototype.folderSortCriteria) !== -1) {
-                            return bookmark1[BookmarkSorter.prototype.folderSortCriteria].localeCompare(bookmark2[BookmarkSorter.prototype.folderSortCriteria], undefined, compareOptions) * BookmarkSorter.prototype.folderReverse;
-                        }
+        // A type has its own criteria only when its items are sorted apart from the other types.
+        // Without criteria, the folders keep their order while the other types use the main criterias.
+        let typeComparators = {};
+        let typeCriterias = BookmarkSorter.prototype.typeCriterias;
+        for (let type of Object.keys(typeCriterias)) {
+            if (hasDistinctOrder(order, type)) {
+                if (typeCriterias[type].criteria !== undefined) {
+                    typeComparators[type] = createCriteriaComparator(typeCriterias[type].criteria, typeCriterias[type].reverse);
+                }
+                else if (type === "folder") {
+                    typeComparators[type] = function () {
+                        return 0;
+                    };
+                }
+            }
+        }
 
-                        return (bookmark1[BookmarkSorter.prototype.folderSortCriteria] - bookmark2[BookmarkSorter.prototype.folderSortCriteria]) * BookmarkSorter.prototype.folderReverse;
-                    }
+        if (Object.keys(typeComparators).length > 0) {
+            comparator = function (bookmark1, bookmark2) {
+                let typeComparator = typeComparators[bookmark1.type];
+                if (typeComparator !== undefined && bookmark1.type === bookmark2.type) {
+                    return typeComparator(bookmark1, bookmark2);
+                }
 
-                    return itemComparator(bookmark1, bookmark2);
-                };
+                return itemComparator(bookmark1, bookmark2);
+            };
+        }
+        else {
+            comparator = itemComparator;
+        }
+
+        // The first criteria ordering an item: the one of its type when the type is sorted apart, none if a sort rule comes first.
+        function getFirstCriteria(bookmark) {
+            if (typeComparators[bookmark.type] !== undefined) {
+                return typeCriterias[bookmark.type].criteria;
             }
-            else {
-                comparator = function (bookmark1, bookmark2) {
-                    if (bookmark1 instanceof Folder && bookmark2 instanceof Folder) {
-                        return 0;
-                    }
 
-                    return itemComparator(bookmark1, bookmark2);
-                };
+            if (ruleKeys.length === 0 && criterias.length > 0) {
+                return criterias[0].criteria;
             }
         }
-        else {
-            comparator = itemComparator;
+
+        let firstCriterias = Object.keys(typeComparators).map(function (type) {
+            return typeCriterias[type].criteria;
+        });
+        if (ruleKeys.length === 0 && criterias.length > 0) {
+            firstCriterias.push(criterias[0].criteria);
         }
 
-        return function (bookmark1, bookmark2) {
-            let result = checkCorruptedAndOrder(bookmark1, bookmark2);
+        // The items sorted first by date can be grouped by date.
+        let dateSections = "none";
+        if (firstCriterias.some(function (criteria) {
+            return dateCriterias.indexOf(criteria) !== -1;
+        })) {
+            dateSections = BookmarkSorter.prototype.dateSections || "none";
+        }
+
+        let dateSectionNames = {
+            today: _("Today"),
+            week: _("This week"),
+            month: _("This month"),
+            never: _("Never"),
+        };
+
+        function getItemDateSection(bookmark) {
+            if (bookmark.pin && pinPositions[bookmark.pin.position] !== undefined) {
+                return null;
+            }
+
+            let criteria = getFirstCriteria(bookmark);
+            if (dateCriterias.indexOf(criteria) === -1) {
+                return null;
+            }
+
+            let section = getDateSection(bookmark[criteria], Date.now() * 1000);
+            return dateSectionNames[section] || section;
+        }
+
+        let getGroup;
+        if (dateSections === "separators" && !groupByDomain) {
+            getGroup = getItemDateSection;
+        }
+        else if (groupByDomain) {
+            // The pinned items are grouped apart from the domains.
+            getGroup = function (bookmark) {
+                if (bookmark.pin && pinPositions[bookmark.pin.position] !== undefined) {
+                    return "pin:" + bookmark.pin.position;
+                }
+
+                return getKey(bookmark, "domain");
+            };
+
+            let criteriaComparator = comparator;
+            comparator = function (bookmark1, bookmark2) {
+                return collator.compare(getGroup(bookmark1), getGroup(bookmark2)) || criteriaComparator(bookmark1, bookmark2);
+            };
+        }
+
+        let compare = function (bookmark1, bookmark2) {
+            let result = comparePins(bookmark1, bookmark2);
+            if (result !== 0) {
+                return result;
+            }
+
+            result = checkCorruptedAndOrder(bookmark1, bookmark2);
             if (result === undefined) {
                 return comparator(bookmark1, bookmark2);
             }
 
             return result;
         };
+
+        // The items with a different group are separated by a managed separator.
+        compare.getGroup = getGroup;
+
+        // The items of each sort order are sorted in their own block, where the sections start again.
+        compare.getBlock = getOrder;
+
+        let allCriterias = criterias.concat(Object.keys(typeCriterias).map(function (type) {
+            return typeCriterias[type];
+        }));
+
+        // The folder counts are only up to date after walking all the folders.
+        compare.usesFolderStats = allCriterias.some(function (criteria) {
+            return folderStatCriterias.indexOf(criteria.criteria) !== -1;
+        });
+
+        // The frecency is only read from Places when it is compared.
+        compare.usesFrecency = allCriterias.some(function (criteria) {
+            return criteria.criteria === "frecency";
+        }) || ruleKeys.some(function (key) {
+            return key.fields !== undefined && key.fields.indexOf("frecency") !== -1;
+        });
+
+        // The date sections change every day.
+        compare.usesDateSections = dateSections !== "none";
+
+        // A header is inserted before the items of each section, in the folders having at least the minimum number of items.
+        if (dateSections === "headers") {
+            compare.getSection = getItemDateSection;
+            compare.sectionHeadersMinimum = 1;
+        }
+        else if (BookmarkSorter.prototype.sectionHeadersMinimum > 0 && firstCriterias.indexOf("title") !== -1) {
+            // Only the items sorted first by title are labelled by their first letter.
+            compare.getSection = function (bookmark) {
+                if (bookmark.pin && pinPositions[bookmark.pin.position] !== undefined || getFirstCriteria(bookmark) !== "title") {
+                    return null;
+                }
+
+                return getTitleSection(getKey(bookmark, "title"));
+            };
+            compare.sectionHeadersMinimum = BookmarkSorter.prototype.sectionHeadersMinimum;
+        }
+
+        return compare;
     },
 
     /**
@@ -231,45 +697,177 @@ let BookmarkSorter = new Class({
         return folders;
     },
 
+    /**
+     * Get the comparator to sort the `folder` children, according to its sort profile.
+     * @param {Folder} folder The folder to sort.
+     * @return {Function} The comparator.
+     */
+    getCompare: function (folder) {
+        let profile = folder.getProfile();
+        if (profile === undefined) {
+            return this.compare;
+        }
+
+        let key = JSON.stringify(profile);
+        if (!this.profileCompares.has(key)) {
+            this.profileCompares.set(key, this.createCompare(profile));
+        }
+
+        return this.profileCompares.get(key);
+    },
+
+    /**
+     * Compute the changes a sort of the `folders` would do, without changing the bookmarks.
+     * The managed separators and headers to create are listed with a null item ID and old index, the ones to remove with a
+     * null new index, and the headers to rename with a different old title.
+     * @param {Array.<Folder>|Folder} folders The folders to sort.
+     * @return {Array.<{itemID: int, title: string, oldTitle: string, folderID: int, oldIndex: int, newIndex: int}>} The
+     * planned changes, in the order they would be done.
+     */
+    plan: function (folders) {
+        folders = folders instanceof Folder ? [folders] : folders;
+
+        let moves = [];
+
+        for (let folder of folders) {
+            if (folder.canBeSorted()) {
+                this.sortFolder(folder);
+
+                for (let item of folder.unusedSeparators.concat(folder.unusedHeaders)) {
+                    moves.push({
+                        itemID: item.id,
+                        title: item.title,
+                        oldTitle: item.title,
+                        folderID: folder.id,
+                        oldIndex: item.oldIndex,
+                        newIndex: null,
+                    });
+                }
+
+                for (let header of folder.headers) {
+                    if (header.id !== undefined && header.title !== header.oldTitle) {
+                        moves.push({
+                            itemID: header.id,
+                            title: header.title,
+                            oldTitle: header.oldTitle,
+                            folderID: folder.id,
+                            oldIndex: header.oldIndex,
+                            newIndex: header.oldIndex,
+                        });
+                    }
+                }
+
+                for (let move of folder.getMoves()) {
+                    let created = move.item.id === undefined;
+                    moves.push({
+                        itemID: created ? null : move.item.id,
+                        title: move.item.title,
+                        oldTitle: created ? null : move.item.title,
+                        folderID: folder.id,
+                        oldIndex: created ? null : move.item.oldIndex,
+                        newIndex: move.item.index,
+                    });
+                }
+            }
+        }
+
+        return moves;
+    },
+
     /**
      * Set the sort criteria.
-     * @param {string} firstSortCriteria The first sort criteria attribute.
-     * @param {boolean} firstReverse Whether the first sort is reversed.
-     * @param {string} secondReverse The second sort criteria attribute.
-     * @param {boolean} secondReverse Whether the second sort is reversed.
+     * @param {Array.<{criteria: string, reverse: boolean}>} criterias The sort criterias, by priority.
+     * @param {object.<{criteria: string, reverse: boolean}>} typeCriterias The sort criteria of each item type sorted separately (folder, livemark, smartBookmark, query), the criteria being undefined to use the default one.
+     * @param {object.<int>} order The sort order of each item type.
+     * @param {{locale: string, options: object}} collation The locale and the Intl.Collator options used to compare strings.
+     * @param {Array.<string>} ignoredPrefixes The lower-case prefixes ignored when comparing titles.
+     * @param {Array.<{regex: RegExp, replace: string}>} normalizationRules The compiled rules applied to the compared strings.
+     * @param {boolean} groupByDomain Whether the bookmarks are grouped by domain between managed separators.
+     * @param {int} sectionHeadersMinimum The minimum number of items of a folder to label the first letters of the titles with headers (0 to never add headers).
+     * @param {string} dateSections How to group the items when sorting first by date: "none", "separators" or "headers".
+     * @param {Array.<{evaluate: Function, reverse: boolean}>} sortRule The compiled sort rule keys compared before the criterias.
      */
-    setCriteria: function (firstSortCriteria, firstReverse, secondSortCriteria, secondReverse, folderSortCriteria, folderReverse, differentFolderOrder, caseInsensitive) {
-        BookmarkSorter.prototype.firstReverse = firstReverse ? -1 : 1;
-        BookmarkSorter.prototype.firstSortCriteria = firstSortCriteria;
-        BookmarkSorter.prototype.secondReverse = secondReverse ? -1 : 1;
-        BookmarkSorter.prototype.secondSortCriteria = secondSortCriteria;
-        BookmarkSorter.prototype.folderReverse = folderReverse ? -1 : 1;
-        BookmarkSorter.prototype.folderSortCriteria = folderSortCriteria;
-        BookmarkSorter.prototype.differentFolderOrder = differentFolderOrder;
-        BookmarkSorter.prototype.caseInsensitive = caseInsensitive;
+    setCriteria: function (criterias, typeCriterias, order, collation, ignoredPrefixes, normalizationRules, groupByDomain, sectionHeadersMinimum, dateSections, sortRule) {
+        BookmarkSorter.prototype.criterias = toComparatorCriterias(criterias);
+        BookmarkSorter.prototype.typeCriterias = {};
+        for (let type of Object.keys(typeCriterias || {})) {
+            BookmarkSorter.prototype.typeCriterias[type] = {
+                criteria: typeCriterias[type].criteria,
+                reverse: typeCriterias[type].reverse ? -1 : 1,
+            };
+        }
+
+        BookmarkSorter.prototype.order = order || {};
+        BookmarkSorter.prototype.collation = collation || defaultCollation;
+        BookmarkSorter.prototype.ignoredPrefixes = ignoredPrefixes || [];
+        BookmarkSorter.prototype.normalizationRules = normalizationRules || [];
+        BookmarkSorter.prototype.groupByDomain = groupByDomain;
+        BookmarkSorter.prototype.sectionHeadersMinimum = sectionHeadersMinimum || 0;
+        BookmarkSorter.prototype.dateSections = dateSections || "none";
+        BookmarkSorter.prototype.sortRule = sortRule || [];
         this.compare = this.createCompare();
+        this.profileCompares.clear();
     },
 
     /**
-     * Sort all bookmarks.
+     * Sort all bookmarks, reading the folders and their children from a snapshot of the bookmark tree.
      */
     sortAllBookmarks: function () {
         let self = this;
-        bookmarkService.runInBatchMode({
-            runBatched(param) {
-                self.sortFolders(self.getAllFolders());
-            },
-        }, null);
+        let snapshot = new TreeSnapshot();
+        let folders = runWithSnapshot(snapshot, function () {
+            return self.getAllFolders();
+        });
+        this.sortFolders(folders, snapshot, []);
     },
 
     /**
      * Sort and save a folder.
      * @param {Folder} folder The folder to sort and save.
+     * @param {Array.<object>} records The positions recorded by the sort of all bookmarks to undo it (optional, the positions
+     * are not recorded for the other sorts).
      */
-    sortAndSave: function (folder) {
+    sortAndSave: function (folder, records) {
         if (folder.canBeSorted()) {
             this.sortFolder(folder);
-            folder.save();
+
+            if (records !== undefined && folder.hasMove()) {
+                records.push(recordPositions(folder));
+                this.lastSortRecords = records;
+                emit(this, "undo-changed", true);
+            }
+
+            this.moveCount += folder.save();
+        }
+    },
+
+    /**
+     * Sort the folders changed since the last sort.
+     * All the folders are sorted when the order of an ancestor of a changed folder depends on the folder counts.
+     */
+    sortDirtyFolders: function () {
+        let folders = [];
+        let folderIDs = Array.from(this.dirtyFolders);
+        this.dirtyFolders.clear();
+
+        for (let folderID of folderIDs) {
+            let path = getFolderPath(folderID);
+            if (path === undefined) {
+                continue;
+            }
+
+            for (let ancestor of path.slice(1)) {
+                if (this.getCompare(ancestor).usesFolderStats) {
+                    this.sortAllBookmarks();
+                    return;
+                }
+            }
+
+            folders.push(path[0]);
+        }
+
+        if (folders.length > 0) {
+            this.sortFolders(folders);
         }
     },
 
@@ -280,65 +878,263 @@ let BookmarkSorter = new Class({
     sortFolder: function (folder) {
         folder.getChildren();
 
-        let delta = 0;
-        let length;
+        let compare = this.getCompare(folder);
+        if (compare.usesFrecency) {
+            folder.loadFrecencies();
+        }
+
+        let unusedHeaders = folder.managedHeaders.slice();
+        let unusedSeparators = folder.managedSeparators.slice();
+        let anchoredItems = folder.anchoredItems.slice().sort(function (item1, item2) {
+            return item1.anchor - item2.anchor;
+        });
+        let index = 0;
+
+        // The anchored items keep their index, the other items fill the remaining indexes.
+        function nextIndex() {
+            while (anchoredItems.length > 0 && anchoredItems[0].anchor <= index) {
+                anchoredItems.shift().setIndex(index++);
+            }
+
+            return index++;
+        }
+
+        // Reuse the header with the same title if possible, so that the headers are not renamed.
+        function getHeader(title) {
+            let headerIndex = unusedHeaders.findIndex(function (header) {
+                return header.title === title;
+            });
+            let header = headerIndex !== -1 ? unusedHeaders.splice(headerIndex, 1)[0] : unusedHeaders.shift() || new Header(undefined, index, folder.id);
+            header.title = title;
+            return header;
+        }
+
+        let itemCount = folder.children.reduce(function (count, children) {
+            return count + children.length;
+        }, 0);
+        let sectionHeaders = compare.getSection !== undefined && itemCount >= compare.sectionHeadersMinimum;
 
         for (let i = 0; i < folder.children.length; ++i) {
-            folder.children[i].sort(this.compare);
-            length = folder.children[i].length;
-            for (let j = 0; j < length; ++j) {
-                folder.children[i][j].setIndex(j + delta);
+            let children = folder.children[i].filter(function (item) {
+                return item.anchor === undefined;
+            });
+            children.sort(compare);
+
+            let section = null;
+            let block;
+            for (let j = 0; j < children.length; ++j) {
+                if (compare.getGroup !== undefined && j > 0 && compare.getGroup(children[j]) !== compare.getGroup(children[j - 1])) {
+                    let separator = unusedSeparators.shift() || new Separator(undefined, index, folder.id);
+                    separator.setIndex(nextIndex());
+                    folder.separators.push(separator);
+                }
+
+                if (sectionHeaders) {
+                    if (compare.getBlock(children[j]) !== block) {
+                        block = compare.getBlock(children[j]);
+                        section = null;
+                    }
+
+                    let itemSection = compare.getSection(children[j]);
+                    if (itemSection !== null && itemSection !== section) {
+                        let header = getHeader(getHeaderTitle(itemSection));
+                        header.setIndex(nextIndex());
+                        folder.headers.push(header);
+                    }
+
+                    section = itemSection;
+                }
+
+                children[j].setIndex(nextIndex());
+            }
+
+            // The user separator stays between the groups.
+            if (i < folder.children.length - 1) {
+                folder.userSeparators[i].setIndex(nextIndex());
             }
+        }
 
-            delta += length + 1;
+        // The items anchored after the end of the folder are put at the end.
+        for (let item of anchoredItems) {
+            item.setIndex(index++);
         }
+
+        folder.unusedHeaders = unusedHeaders;
+        folder.unusedSeparators = unusedSeparators;
     },
 
     /**
-     * Sort the `folders`.
+     * Sort the `folders`, emitting the "sorted" event with the number of moved items once the last one is saved (unless the
+     * sort is cancelled by an undo).
      * @param {Array.<Folder>|Folder} folders The folders to sort.
+     * @param {TreeSnapshot} snapshot The snapshot to read the folders children from (optional, the bookmarks service is
+     * queried if not specified or for the folders changed since the snapshot).
+     * @param {Array.<object>} records The array to record the positions in to undo the sort (optional).
      */
-    sortFolders: function (folders) {
+    sortFolders: function (folders, snapshot, records) {
         folders = folders instanceof Folder ? [folders] : folders;
 
         let self = this;
+        let remaining = folders.length;
+        this.moveCount = 0;
 
         for (let folder of folders) {
             // this is async; not obvious but arg1 = folder
-            setTimeout((function (arg1) {
+            let timer = setTimeout((function (arg1) {
                 return function () {
-                    self.sortAndSave(arg1);
+                    self.folderTimers.delete(timer);
+
+                    try {
+                        // The bookmarks may have changed since the snapshot during the previous timeouts.
+                        let folderSnapshot = snapshot && snapshot.isCurrent(arg1.id) ? snapshot : null;
+                        runWithSnapshot(folderSnapshot, function () {
+                            self.sortAndSave(arg1, records);
+                        });
+                    }
+                    finally {
+                        if (--remaining === 0) {
+                            emit(self, "sorted", self.moveCount);
+                        }
+                    }
                 };
             } (folder)), 0);
+            this.folderTimers.add(timer);
         }
         // for loop will likely end before sortAndSave() calls complete
     },
 
+    /**
+     * Check if some items are grouped by date, with the criterias or with the profiles of the folders sorted since the last
+     * criteria change.
+     * @return {boolean} Whether the items sorted first by a date are grouped by date.
+     */
+    usesDateSections: function () {
+        if (this.compare !== undefined && this.compare.usesDateSections) {
+            return true;
+        }
+
+        for (let compare of this.profileCompares.values()) {
+            if (compare.usesDateSections) {
+                return true;
+            }
+        }
+
+        return false;
+    },
+
+    /**
+     * Put the items back at their positions before the last sort of all bookmarks which changed something.
+     * The scheduled sort and the folders not sorted yet by the sort in progress are cancelled so that the restored items are
+     * not sorted again right away: they are sorted again at the next change only.
+     * @return {int} The number of items restored.
+     */
+    undoLastSort: function () {
+        let count = 0;
+
+        if (this.lastSortRecords !== null) {
+            let records = this.lastSortRecords;
+            this.lastSortRecords = null;
+            this.changed = false;
+            this.dirtyFolders.clear();
+            this.folderCreated = false;
+            clearTimeout(this.timer);
+            this.timer = null;
+
+            for (let timer of this.folderTimers) {
+                clearTimeout(timer);
+            }
+
+            this.folderTimers.clear();
+
+            bookmarkService.runInBatchMode({
+                runBatched() {
+                    runSelfChange(function () {
+                        for (let record of records) {
+                            count += restorePositions(record);
+                        }
+                    });
+                },
+            }, null);
+
+            emit(this, "undo-changed", false);
+        }
+
+        return count;
+    },
+
     /**
      * Set flag to trigger sorting.
+     * @param {Array.<int>} folderIDs The identifiers of the changed folders, to sort only them (optional, all the folders
+     * are sorted if not specified).
+     * @param {boolean} newFolder Whether the change is the creation of a folder.
+     */
+    setChanged: function (folderIDs, newFolder) {
+        if (folderIDs === undefined) {
+            this.changed = true;
+        }
+        else {
+            for (let folderID of folderIDs) {
+                this.dirtyFolders.add(folderID);
+            }
+        }
+
+        if (newFolder) {
+            this.folderCreated = true;
+        }
+
+        this.scheduleSort();
+    },
+
+    /**
+     * Sort after the delay, starting the delay again if a sort was already scheduled.
+     * The longer folder delay is used until the created folder is sorted, so that it does not move while it is chosen to add
+     * a bookmark in it.
+     */
+    scheduleSort: function () {
+        let self = this;
+        let delay = this.folderCreated ? Math.max(this.delay, this.folderDelay) : this.delay;
+
+        clearTimeout(this.timer);
+        this.timer = setTimeout(function () {
+            self.sortIfChanged();
+        }, delay);
+    },
+
+    /**
+     * Set the delays between the last change and the sort.
+     * @param {int} delay The delay in milliseconds.
+     * @param {int} folderDelay The delay in milliseconds when a folder was created.
      */
-    setChanged: function () {
-        this.changed = true;
+    setDelays: function (delay, folderDelay) {
+        this.delay = delay;
+        this.folderDelay = folderDelay;
     },
 
     /**
      * Perform sorting only if there was a change and not already sorting.
      */
     sortIfChanged: function () {
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.folderCreated = false;
+
         if (this.changed && !this.sorting) {
             this.sorting = true;
+            this.dirtyFolders.clear();
             this.sortAllBookmarks();
             this.sorting = false;
             this.changed = false;
         }
-
-        let self = this;
-
-        setTimeout(function () {
-            self.sortIfChanged();
-        }, this.delay);
+        else if (this.dirtyFolders.size > 0 && !this.sorting) {
+            this.sorting = true;
+            this.sortDirtyFolders();
+            this.sorting = false;
+        }
     },
 
 });
 
 exports.BookmarkSorter = BookmarkSorter;
+exports.comparePins = comparePins;
+exports.getDateSection = getDateSection;
+exports.getTitleSection = getTitleSection;
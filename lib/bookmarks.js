@@ -27,10 +27,171 @@ const {merge} = require("sdk/util/object");
 const {Cc, Ci, Cu} = require("chrome");
 const bookmarkService = Cc["@mozilla.org/browser/nav-bookmarks-service;1"].getService(Ci.nsINavBookmarksService);
 const historyService = Cc["@mozilla.org/browser/nav-history-service;1"].getService(Ci.nsINavHistoryService);
-const {getDescription, hasDoNotSortAnnotation, hasRecursiveAnnotation, isRecursivelyExcluded, isLivemark, isSmartBookmark} = require("lib/annotations");
+const ioService = Cc["@mozilla.org/network/io-service;1"].getService(Ci.nsIIOService);
+const taggingService = Cc["@mozilla.org/browser/tagging-service;1"].getService(Ci.nsITaggingService);
+const {getFolderFrecencies} = require("lib/frecency");
+const {getCurrentSnapshot} = require("lib/tree-snapshot");
+const {getAnchorAnnotation, getDescription, getPinAnnotation, getProfileAnnotation, hasDoNotSortAnnotation, hasHeaderAnnotation, hasManagedAnnotation, hasRecursiveAnnotation, isExclusionAnnotation, isFolderSortAnnotation, isRecursivelyExcluded, isLivemark, isProfileAnnotation, isSmartBookmark, setHeaderAnnotation, setManagedAnnotation} = require("lib/annotations");
 
 Cu.import("resource://gre/modules/XPCOMUtils.jsm", this);
 
+/**
+ * The child and descendant bookmark counts and the last activity of the folders, by folder identifier, computed while walking the folders.
+ * @type {Map.<int, {childCount: int, descendantCount: int, lastActivity: int}>}
+ */
+const folderStats = new Map();
+
+/**
+ * Whether each folder is recursively excluded, by itself or by an ancestor, by folder identifier.
+ * It is filled top-down while walking the folders and cleared by the bookmark events which can change an exclusion.
+ * The folders read from a tree snapshot are cached in the snapshot instead, since it does not see the later changes.
+ * @type {Map.<int, boolean>}
+ */
+const exclusions = new Map();
+
+/**
+ * The sort profile of each folder, its own or the one of its closest ancestor (undefined if none), by folder identifier.
+ * It is filled top-down while walking the folders and cleared by the bookmark events which can change a profile.
+ * Like `exclusions`, it is not used for the folders read from a tree snapshot.
+ * @type {Map.<int, object>}
+ */
+const profiles = new Map();
+
+/**
+ * The number of changes made by this add-on in progress. The bookmark observers ignore the events while it is not zero.
+ * The observers are notified synchronously by the bookmark service, so the events of the changes are received during the changes.
+ * @type {int}
+ */
+let selfChangeDepth = 0;
+
+/**
+ * Make changes to the bookmarks without reporting them to the bookmark manager listeners.
+ * @param {Function} callback The function changing the bookmarks.
+ * @return {*} The callback result.
+ */
+function runSelfChange(callback) {
+    ++selfChangeDepth;
+
+    try {
+        return callback();
+    }
+    finally {
+        --selfChangeDepth;
+    }
+}
+
+/**
+ * Get the parent of an item, from the tree snapshot when one is used.
+ * @param {int} itemID The item ID.
+ * @return {int} The parent ID.
+ */
+function getParentID(itemID) {
+    let snapshot = getCurrentSnapshot();
+    if (snapshot !== null) {
+        let node = snapshot.getNode(itemID);
+        return node !== undefined ? node.parentId : -1;
+    }
+
+    return bookmarkService.getFolderIdForItem(itemID);
+}
+
+/**
+ * Get the exclusions cache of the current lookups.
+ * @return {Map.<int, boolean>} The cache of the tree snapshot when one is used, `exclusions` otherwise.
+ */
+function getExclusions() {
+    let snapshot = getCurrentSnapshot();
+    return snapshot !== null ? snapshot.exclusions : exclusions;
+}
+
+/**
+ * Get the profiles cache of the current lookups.
+ * @return {Map.<int, object>} The cache of the tree snapshot when one is used, `profiles` otherwise.
+ */
+function getProfiles() {
+    let snapshot = getCurrentSnapshot();
+    return snapshot !== null ? snapshot.profiles : profiles;
+}
+
+/**
+ * Check if a folder or one of its ancestors is recursively excluded, reading only the folders missing in the exclusions cache.
+ * @param {int} folderID The folder ID.
+ * @return {boolean} Whether the folder is excluded with its sub-folders.
+ */
+function isExcludedWithAncestors(folderID) {
+    let cache = getExclusions();
+    let excluded = cache.get(folderID);
+    if (excluded === undefined) {
+        excluded = isRecursivelyExcluded(folderID);
+        if (!excluded) {
+            let parentID = getParentID(folderID);
+            excluded = parentID > 0 ? isExcludedWithAncestors(parentID) : false;
+        }
+
+        cache.set(folderID, excluded);
+    }
+
+    return excluded;
+}
+
+/**
+ * Get the sort profile of a folder or, if it has none, the one of its closest ancestor, reading only the folders missing in
+ * the profiles cache.
+ * @param {int} folderID The folder ID.
+ * @return {object} The sort profile or undefined if no folder defines one.
+ */
+function getProfileWithAncestors(folderID) {
+    let cache = getProfiles();
+    if (!cache.has(folderID)) {
+        let profile = getProfileAnnotation(folderID);
+        if (profile === undefined) {
+            let parentID = getParentID(folderID);
+            if (parentID > 0) {
+                profile = getProfileWithAncestors(parentID);
+            }
+        }
+
+        cache.set(folderID, profile);
+    }
+
+    return cache.get(folderID);
+}
+
+/**
+ * Get the longest strictly increasing subsequence of `values`.
+ * @param {Array.<int>} values The values.
+ * @return {Array.<int>} The positions in `values` of the subsequence elements.
+ */
+function getLongestIncreasingSubsequence(values) {
+    // tails[k] is the position of the smallest value ending an increasing subsequence of length k + 1.
+    let tails = [];
+    let previous = [];
+
+    for (let i = 0; i < values.length; ++i) {
+        let low = 0;
+        let high = tails.length;
+        while (low < high) {
+            let middle = Math.floor((low + high) / 2);
+            if (values[tails[middle]] < values[i]) {
+                low = middle + 1;
+            }
+            else {
+                high = middle;
+            }
+        }
+
+        previous[i] = low > 0 ? tails[low - 1] : -1;
+        tails[low] = i;
+    }
+
+    let positions = [];
+    for (let i = tails.length > 0 ? tails[tails.length - 1] : -1; i !== -1; i = previous[i]) {
+        positions.unshift(i);
+    }
+
+    return positions;
+}
+
 /**
  * Item class. Base class for bookmarks/folders/separators/live bookmarks/smart bookmarks.
  */
@@ -54,14 +215,17 @@ let Item = new Class({
     },
 
     /**
-     * Save the new index.
+     * Save the new index, shifting the other items of the folder.
+     * @param {int} index The index of the item to move this item before, when the other items are not at their new index yet (optional).
      */
-    saveIndex: function () {
+    saveIndex: function (index) {
+        index = index === undefined ? this.index : index;
+
         try {
-            bookmarkService.setItemIndex(this.id, this.index);
+            bookmarkService.moveItem(this.id, this.parentID, index);
         }
         catch (exception) {
-            console.error("failed to move " + this.id + ". " + this.title + " to " + this.index + " (" + this.url + ")");
+            console.error("failed to move " + this.id + ". " + this.title + " to " + index + " (" + this.url + ")");
         }
     },
 
@@ -70,7 +234,7 @@ let Item = new Class({
      * @param {int} index The new index.
      */
     setIndex: function (index) {
-        this.oldIndex = this.index || index;
+        this.oldIndex = this.index === undefined ? index : this.index;
         this.index = index;
     },
 });
@@ -82,6 +246,11 @@ let Item = new Class({
 let Bookmark = new Class({
     extends: Item,
 
+    /**
+     * The item type name.
+     */
+    type: "bookmark",
+
     /**
      * Get a bookmark.
      * @param {int} itemID The bookmark identifier.
@@ -108,7 +277,13 @@ let Bookmark = new Class({
         this.accessCount = accessCount || 0;
         this.dateAdded = dateAdded || 0;
         this.lastModified = lastModified || 0;
+        this.frecency = 0;
+        this.childCount = 0;
+        this.descendantCount = 0;
+        this.lastActivity = Math.max(this.lastVisited, this.dateAdded);
         this.order = prefs.bookmark_sort_order || 4;
+        this.pin = getPinAnnotation(itemID);
+        this.anchor = getAnchorAnnotation(itemID);
         this.description = getDescription(this) || "";
         this.setKeyword();
     },
@@ -118,12 +293,18 @@ let Bookmark = new Class({
      */
     setKeyword: function () {
         let keyword = "";
-        try {
-            keyword = bookmarkService.getKeywordForBookmark(this.id);
-            keyword = keyword || "";
+        let snapshot = getCurrentSnapshot();
+        if (snapshot !== null) {
+            keyword = snapshot.getKeyword(this.id);
         }
-        catch (exception) {
-            // Nothing to do.
+        else {
+            try {
+                keyword = bookmarkService.getKeywordForBookmark(this.id);
+                keyword = keyword || "";
+            }
+            catch (exception) {
+                // Nothing to do.
+            }
         }
 
         this.keyword = keyword;
@@ -152,32 +333,45 @@ let BookmarkManager = new Class({
     },
 
     /**
-     * Create a bookmark observer.
+     * Create a bookmark observer emitting the "changed" event with the identifiers of the folders to sort again
+     * (none when all the folders must be sorted) and whether a folder was created.
+     * The changes made by this add-on are not reported.
      */
     createObserver: function () {
         let self = this;
 
+        function emitChanged(folderIDs, newFolder) {
+            if (selfChangeDepth === 0) {
+                emit(self, "changed", folderIDs, newFolder);
+            }
+        }
+
         let bookmarkObserver = {
-            onItemAdded: function () {
-                emit(self, "changed");
+            onItemAdded: function (itemID, parentID, index, itemType) {
+                emitChanged([parentID], itemType === bookmarkService.TYPE_FOLDER);
             },
 
-            onItemChanged: function () {
-                emit(self, "changed");
+            onItemChanged: function (itemID, property, isAnnotation, newValue, lastModified, itemType, parentID) {
+                // The exclusions and the profiles also apply to the sub-folders.
+                if (isAnnotation && itemType === bookmarkService.TYPE_FOLDER && isFolderSortAnnotation(property)) {
+                    emitChanged();
+                }
+                else {
+                    emitChanged([parentID]);
+                }
             },
 
-            onItemMoved: function () {
-                emit(self, "changed");
+            onItemMoved: function (itemID, oldParentID, oldIndex, newParentID) {
+                emitChanged(oldParentID === newParentID ? [newParentID] : [oldParentID, newParentID]);
             },
 
-            onItemRemoved: function () {
-                if (item instanceof Separator) {
-                    emit(self, "changed");
-                }
+            // A removed item can leave an empty group or section.
+            onItemRemoved: function (itemID, parentID) {
+                emitChanged([parentID]);
             },
 
-            onItemVisited: function () {
-                emit(self, "changed");
+            onItemVisited: function (itemID, visitID, time, transitionType, uri, parentID) {
+                emitChanged([parentID]);
             },
 
             QueryInterface: XPCOMUtils.generateQI([Ci.nsINavBookmarkObserver]),
@@ -197,15 +391,116 @@ BookmarkManager.prototype.observers = [];
 let Separator = new Class({
     extends: Item,
 
+    /**
+     * The item type name.
+     */
+    type: "separator",
+
     /**
      * Get a separator.
-     * @param {int} itemID The separator identifier.
+     * @param {int} itemID The separator identifier (undefined for a new managed separator).
      * @param {int} index The separator position.
      * @param {int} parentID The separator parent identifier.
      * @constructor
      */
     initialize: function (itemID, index, parentID) {
         Item.prototype.initialize.call(this, itemID, index, parentID);
+        this.managed = itemID === undefined || hasManagedAnnotation(itemID);
+    },
+
+    /**
+     * Remove this separator.
+     */
+    remove: function () {
+        try {
+            bookmarkService.removeItem(this.id);
+        }
+        catch (exception) {
+            console.error("failed to remove separator " + this.id);
+        }
+    },
+
+    /**
+     * Save the new index, creating the separator if it does not exist yet.
+     * @param {int} index The index to move the separator to (optional).
+     */
+    saveIndex: function (index) {
+        if (this.id === undefined) {
+            this.id = bookmarkService.insertSeparator(this.parentID, index === undefined ? this.index : index);
+            setManagedAnnotation(this.id);
+        }
+        else {
+            Item.prototype.saveIndex.call(this, index);
+        }
+    },
+});
+
+/**
+ * Section header class: a bookmark created by this add-on to label a group of items.
+ * @extends Item
+ */
+let Header = new Class({
+    extends: Item,
+
+    /**
+     * The item type name.
+     */
+    type: "header",
+
+    /**
+     * The URL of the header bookmarks.
+     */
+    url: "about:blank",
+
+    /**
+     * Get a section header.
+     * @param {int} itemID The header identifier (undefined for a new header).
+     * @param {int} index The header position.
+     * @param {int} parentID The header parent identifier.
+     * @param {string} title The header title.
+     * @constructor
+     */
+    initialize: function (itemID, index, parentID, title) {
+        Item.prototype.initialize.call(this, itemID, index, parentID);
+        this.title = title || "";
+        this.oldTitle = this.title;
+    },
+
+    /**
+     * Remove this header.
+     */
+    remove: function () {
+        try {
+            bookmarkService.removeItem(this.id);
+        }
+        catch (exception) {
+            console.error("failed to remove header " + this.id);
+        }
+    },
+
+    /**
+     * Save the new index, creating the header if it does not exist yet.
+     * @param {int} index The index to move the header to (optional).
+     */
+    saveIndex: function (index) {
+        if (this.id === undefined) {
+            this.id = bookmarkService.insertBookmark(this.parentID, ioService.newURI(this.url, null, null), index === undefined ? this.index : index, this.title);
+            setHeaderAnnotation(this.id);
+            this.oldTitle = this.title;
+        }
+        else {
+            Item.prototype.saveIndex.call(this, index);
+        }
+    },
+
+    /**
+     * Save the new title of an existing header.
+     */
+    saveTitle: function () {
+        if (this.id !== undefined && this.title !== this.oldTitle) {
+            bookmarkService.setItemTitle(this.id, this.title);
+            this.oldTitle = this.title;
+        }
     },
 });
 
@@ -216,6 +511,11 @@ let Separator = new Class({
 let Folder = new Class({
     extends: Bookmark,
 
+    /**
+     * The item type name.
+     */
+    type: "folder",
+
     /**
      * Get an existing folder.
      * @param {int} itemID The folder identifier.
@@ -227,6 +527,13 @@ let Folder = new Class({
     initialize: function (itemID, index, parentID, title, dateAdded, lastModified) {
         Bookmark.prototype.initialize.call(this, itemID, index, parentID, title, dateAdded, lastModified);
         this.order = prefs.folder_sort_order || 1;
+
+        let stats = folderStats.get(itemID);
+        if (stats !== undefined) {
+            this.childCount = stats.childCount;
+            this.descendantCount = stats.descendantCount;
+            this.lastActivity = stats.lastActivity;
+        }
     },
 
     /**
@@ -242,13 +549,18 @@ let Folder = new Class({
     },
 
     /**
-     * Get the immediate children.
-     * @return {Array.<Item>} The children.
+     * Call `callback` with each child node of this folder, read from the tree snapshot when one is used.
+     * @param {Function} callback The function called with each node, with this folder as `this`.
      */
-    getChildren: function () {
-        let index = 0;
+    forEachChildNode: function (callback) {
+        let snapshot = getCurrentSnapshot();
+        if (snapshot !== null) {
+            for (let node of snapshot.getChildren(this.id)) {
+                callback.call(this, node);
+            }
 
-        this.children = [[]];
+            return;
+        }
 
         let options = historyService.getNewQueryOptions();
         options.queryType = historyService.QUERY_TYPE_BOOKMARKS;
@@ -262,80 +574,134 @@ let Folder = new Class({
         rootNode.containerOpen = true;
 
         for (let i = 0; i < rootNode.childCount; ++i) {
-            let node = rootNode.getChild(i);
+            callback.call(this, rootNode.getChild(i));
+        }
+
+        rootNode.containerOpen = false;
+    },
+
+    /**
+     * Get the immediate children, grouped by the separators which are not managed by this add-on.
+     * The anchored items are also kept in `anchoredItems`, and the section headers in `managedHeaders`.
+     * @return {Array.<Array.<Item>>} The children.
+     */
+    getChildren: function () {
+        let index = 0;
+
+        this.children = [[]];
+        this.anchoredItems = [];
+        this.managedHeaders = [];
+        this.headers = [];
+        this.unusedHeaders = [];
+        this.managedSeparators = [];
+        this.separators = [];
+        this.unusedSeparators = [];
+        this.userSeparators = [];
+
+        this.forEachChildNode(function (node) {
             let item = createItemFromNode(node, this.id);
-            if (item instanceof Separator) {
+            if (item instanceof Header) {
+                this.managedHeaders.push(item);
+            }
+            else if (item instanceof Separator && item.managed) {
+                this.managedSeparators.push(item);
+            }
+            else if (item instanceof Separator) {
+                this.userSeparators.push(item);
                 this.children.push([]);
                 ++index;
             }
             else if (item !== undefined) {
                 this.children[index].push(item);
-            }
-        }
 
-        rootNode.containerOpen = false;
+                if (item.anchor !== undefined) {
+                    this.anchoredItems.push(item);
+                }
+            }
+        });
 
         return this.children;
     },
 
     /**
-     * Get folders recursively.
+     * Get folders recursively, counting the children and the descendant bookmarks of each folder on the way.
+     * The last activity of a folder is the most recent visit or addition of its descendant bookmarks.
+     * The recursively excluded folders are walked to be counted, but are not returned.
      */
     getFolders: function () {
         let folders = [];
         let folder;
-        let node;
+        let excluded = isExcludedWithAncestors(this.id);
+        let profile = getProfileWithAncestors(this.id);
+
+        this.childCount = 0;
+        this.descendantCount = 0;
+        this.lastActivity = 0;
+
+        this.forEachChildNode(function (node) {
+            switch (node.type) {
+                case node.RESULT_TYPE_URI:
+                    if (!hasHeaderAnnotation(node.itemId)) {
+                        ++this.childCount;
+                        ++this.descendantCount;
+                        this.lastActivity = Math.max(this.lastActivity, node.time || 0, node.dateAdded || 0);
+                    }
 
-        let options = historyService.getNewQueryOptions();
-        options.excludeItems = true;
-        options.excludeQueries = true;
-        options.queryType = historyService.QUERY_TYPE_BOOKMARKS;
+                    break;
+                case node.RESULT_TYPE_QUERY:
+                    ++this.childCount;
+                    break;
+                case node.RESULT_TYPE_FOLDER:
+                    ++this.childCount;
 
-        let query = historyService.getNewQuery();
-        query.setFolders([this.id], 1);
+                    folder = new Folder(node.itemId, node.bookmarkIndex, this.id, node.title, node.dateAdded, node.lastModified);
 
-        let result = historyService.executeQuery(query, options);
+                    if (!isLivemark(folder.id)) {
+                        let folderExcluded = isRecursivelyExcluded(folder.id);
+                        getExclusions().set(folder.id, excluded || folderExcluded);
 
-        let rootNode = result.root;
-        rootNode.containerOpen = true;
-
-        for (let i = 0; i < rootNode.childCount; ++i) {
-            node = rootNode.getChild(i);
+                        let folderProfile = getProfileAnnotation(folder.id);
+                        getProfiles().set(folder.id, folderProfile !== undefined ? folderProfile : profile);
 
-            if (!isRecursivelyExcluded(node.itemId)) {
-                folder = new Folder(node.itemId, node.bookmarkIndex, this.id, node.title, node.dateAdded, node.lastModified);
+                        let descendants = folder.getFolders();
+                        this.descendantCount += folder.descendantCount;
+                        this.lastActivity = Math.max(this.lastActivity, folder.lastActivity);
 
-                if (!isLivemark(folder.id)) {
-                    folders.push(folder);
+                        if (!folderExcluded) {
+                            folders.push(folder);
 
-                    for (let f of folder.getFolders()) {
-                        folders.push(f);
+                            for (let f of descendants) {
+                                folders.push(f);
+                            }
+                        }
                     }
-                }
+
+                    break;
             }
-        }
+        });
 
-        rootNode.containerOpen = false;
+        folderStats.set(this.id, {
+            childCount: this.childCount,
+            descendantCount: this.descendantCount,
+            lastActivity: this.lastActivity,
+        });
 
         return folders;
     },
 
+    /**
+     * Get the sort profile of this folder or, if it has none, the one of its closest ancestor.
+     * @return {object} The sort profile or undefined if no folder defines one.
+     */
+    getProfile: function () {
+        return getProfileWithAncestors(this.id);
+    },
+
     /**
      * Check if this folder has an ancestor that is recursively excluded.
      */
     hasAncestorExcluded: function () {
-        if (isRecursivelyExcluded(this.id)) {
-            return true;
-        }
-        else {
-            let parentID = bookmarkService.getFolderIdForItem(this.id);
-            if (parentID > 0) {
-                let parentFolder = createItem(bookmarkService.TYPE_FOLDER, parentID);
-                return parentFolder.hasAncestorExcluded();
-            }
-        }
-
-        return false;
+        return isExcludedWithAncestors(this.id);
     },
 
     /**
@@ -343,6 +709,22 @@ let Folder = new Class({
      * @return {boolean} Whether at least one children has moved or not.
      */
     hasMove: function () {
+        if (this.unusedSeparators.length > 0 || this.unusedHeaders.length > 0) {
+            return true;
+        }
+
+        for (let separator of this.separators) {
+            if (separator.id === undefined || separator.index !== separator.oldIndex) {
+                return true;
+            }
+        }
+
+        for (let header of this.headers) {
+            if (header.id === undefined || header.index !== header.oldIndex || header.title !== header.oldTitle) {
+                return true;
+            }
+        }
+
         for (let i = 0; i < this.children.length; ++i) {
             let length = this.children[i].length;
             for (let j = 0; j < length; ++j) {
@@ -364,18 +746,114 @@ let Folder = new Class({
     },
 
     /**
-     * Save the new children positions.
+     * Set the frecency of the children bookmarks, read in one query for the whole folder.
+     * The children must have been fetched with getChildren().
      */
-    save: function () {
-        if (this.hasMove()) {
-            for (let i = 0; i < this.children.length; ++i) {
-                let length = this.children[i].length;
-                for (let j = 0; j < length; ++j) {
-                    this.children[i][j].saveIndex();
+    loadFrecencies: function () {
+        if (getCurrentSnapshot() !== null) {
+            return;
+        }
+
+        let frecencies = getFolderFrecencies(this.id);
+        for (let children of this.children) {
+            for (let item of children) {
+                if (frecencies.has(item.id)) {
+                    item.frecency = frecencies.get(item.id);
                 }
             }
         }
     },
+
+    /**
+     * Get the moves needed to put the children at their new index.
+     * Only the items out of the longest run already in the right order are moved.
+     * @return {Array.<{item: Item, index: int}>} The items to move or insert, in order, with the index to give to saveIndex().
+     */
+    getMoves: function () {
+        let items = this.separators.concat(this.headers, this.userSeparators);
+        for (let i = 0; i < this.children.length; ++i) {
+            items = items.concat(this.children[i]);
+        }
+
+        items.sort(function (item1, item2) {
+            return item1.index - item2.index;
+        });
+
+        // The existing items in their current order, which is updated after each move.
+        let current = items.filter(function (item) {
+            return item.id !== undefined;
+        }).sort(function (item1, item2) {
+            return item1.oldIndex - item2.oldIndex;
+        });
+
+        let staying = new Set(getLongestIncreasingSubsequence(current.map(function (item) {
+            return item.index;
+        })).map(function (position) {
+            return current[position];
+        }));
+
+        let moves = [];
+
+        // Each other item is moved right after the item preceding it in the new order.
+        for (let i = 0; i < items.length; ++i) {
+            let item = items[i];
+            if (staying.has(item)) {
+                continue;
+            }
+
+            let position = current.indexOf(item);
+            if (position !== -1) {
+                current.splice(position, 1);
+            }
+
+            let index = i === 0 ? 0 : current.indexOf(items[i - 1]) + 1;
+            current.splice(index, 0, item);
+            moves.push({
+                item: item,
+                // The item moved down is inserted before the item following its new position, which is still counted after it.
+                index: position !== -1 && index >= position ? index + 1 : index,
+            });
+        }
+
+        return moves;
+    },
+
+    /**
+     * Save the new children positions, creating and removing the managed separators and headers as needed.
+     * @return {int} The number of items moved or inserted.
+     */
+    save: function () {
+        if (!this.hasMove()) {
+            return 0;
+        }
+
+        let self = this;
+        let moveCount = 0;
+
+        // The changes are done in a batch so that the bookmark views are only updated once.
+        bookmarkService.runInBatchMode({
+            runBatched() {
+                runSelfChange(function () {
+                    for (let item of self.unusedSeparators.concat(self.unusedHeaders)) {
+                        item.remove();
+                    }
+
+                    for (let header of self.headers) {
+                        header.saveTitle();
+                    }
+
+                    let moves = self.getMoves();
+                    for (let move of moves) {
+                        move.item.saveIndex(move.index);
+                    }
+
+                    moveCount = moves.length;
+                });
+            },
+        }, null);
+
+        return moveCount;
+    },
 });
 
 /**
@@ -385,6 +863,11 @@ let Folder = new Class({
 let Livemark = new Class({
     extends: Bookmark,
 
+    /**
+     * The item type name.
+     */
+    type: "livemark",
+
     /**
      * Get an existing smart bookmark.
      * @param {int} itemID The folder identifier.
@@ -406,20 +889,57 @@ let Livemark = new Class({
 let SmartBookmark = new Class({
     extends: Bookmark,
 
+    /**
+     * The item type name.
+     */
+    type: "smartBookmark",
+
     /**
      * Get an existing smart bookmark.
-     * @param {int} itemID The folder identifier.
-     * @param {int} index The folder position.
-     * @param {int} parentID The folder parent identifier.
-     * @param {string} title The folder title.
+     * @param {int} itemID The smart bookmark identifier.
+     * @param {int} index The smart bookmark position.
+     * @param {int} parentID The smart bookmark parent identifier.
+     * @param {string} title The smart bookmark title.
+     * @param {int} dateAdded The timestamp of the date added.
+     * @param {int} lastModified The timestamp of the last modified date.
+     * @param {string} url The smart bookmark query URL.
      * @constructor
      */
-    initialize: function (itemID, index, parentID, title) {
-        Bookmark.prototype.initialize.call(this, itemID, index, parentID, title);
+    initialize: function (itemID, index, parentID, title, dateAdded, lastModified, url) {
+        Bookmark.prototype.initialize.call(this, itemID, index, parentID, title, dateAdded, lastModified, url);
         this.order = prefs.smart_bookmark_sort_order || 3;
     },
 });
 
+/**
+ * Query bookmark class (a "place:" bookmark which is not a smart bookmark).
+ * @extends Bookmark
+ */
+let QueryBookmark = new Class({
+    extends: Bookmark,
+
+    /**
+     * The item type name.
+     */
+    type: "query",
+
+    /**
+     * Get an existing query bookmark.
+     * @param {int} itemID The query bookmark identifier.
+     * @param {int} index The query bookmark position.
+     * @param {int} parentID The query bookmark parent identifier.
+     * @param {string} title The query bookmark title.
+     * @param {int} dateAdded The timestamp of the date added.
+     * @param {int} lastModified The timestamp of the last modified date.
+     * @param {string} url The query URL.
+     * @constructor
+     */
+    initialize: function (itemID, index, parentID, title, dateAdded, lastModified, url) {
+        Bookmark.prototype.initialize.call(this, itemID, index, parentID, title, dateAdded, lastModified, url);
+        this.order = prefs.query_sort_order || 4;
+    },
+});
+
 /**
  * Create an item from the `type`.
  * @param {int} type The item type.
@@ -438,7 +958,7 @@ function createItem(type, itemID, index, parentID, title, url, lastVisited, acce
     switch (type) {
         case bookmarkService.TYPE_BOOKMARK:
             if (isSmartBookmark(itemID)) {
-                item = new SmartBookmark(itemID, index, parentID, title);
+                item = new SmartBookmark(itemID, index, parentID, title, dateAdded, lastModified, url);
             }
             else {
                 item = new Bookmark(itemID, index, parentID, title, dateAdded, lastModified, url, lastVisited, accessCount);
@@ -462,6 +982,25 @@ function createItem(type, itemID, index, parentID, title, url, lastVisited, acce
     return item;
 }
 
+/**
+ * Create a query item: a smart bookmark or a query bookmark.
+ * @param {int} itemID The item ID.
+ * @param {int} index The item position.
+ * @param {int} parentID The parent ID.
+ * @param {string} title The item title.
+ * @param {string} url The query URL.
+ * @param {int} dateAdded The timestamp of the date added.
+ * @param {int} lastModified The timestamp of the last modified date.
+ * @return {Item} The new item.
+ */
+function createQuery(itemID, index, parentID, title, url, dateAdded, lastModified) {
+    if (isSmartBookmark(itemID)) {
+        return new SmartBookmark(itemID, index, parentID, title, dateAdded, lastModified, url);
+    }
+
+    return new QueryBookmark(itemID, index, parentID, title, dateAdded, lastModified, url);
+}
+
 /**
  * Create an item from the `node` type.
  * @param {object} node The node item.
@@ -469,6 +1008,14 @@ function createItem(type, itemID, index, parentID, title, url, lastVisited, acce
  * @return {Item} The new item.
  */
 function createItemFromNode(node, parentID) {
+    if (node.type === node.RESULT_TYPE_QUERY) {
+        return createQuery(node.itemId, node.bookmarkIndex, parentID, node.title, node.uri, node.dateAdded, node.lastModified);
+    }
+
+    if (node.type === node.RESULT_TYPE_URI && hasHeaderAnnotation(node.itemId)) {
+        return new Header(node.itemId, node.bookmarkIndex, parentID, node.title);
+    }
+
     let type;
     switch (node.type) {
         case node.RESULT_TYPE_URI:
@@ -480,12 +1027,54 @@ function createItemFromNode(node, parentID) {
         case node.RESULT_TYPE_SEPARATOR:
             type = bookmarkService.TYPE_SEPARATOR;
             break;
-        case node.RESULT_TYPE_QUERY:
-            type = bookmarkService.TYPE_BOOKMARK;
-            break;
     }
 
-    return createItem(type, node.itemId, node.bookmarkIndex, parentID, node.title, node.uri, node.time, node.accessCount, node.dateAdded, node.lastModified);
+    let item = createItem(type, node.itemId, node.bookmarkIndex, parentID, node.title, node.uri, node.time, node.accessCount, node.dateAdded, node.lastModified);
+
+    // The frecency is only read when it is compared, see Folder.loadFrecencies(), but the snapshot nodes already have it.
+    if (node.type === node.RESULT_TYPE_URI && item instanceof Bookmark && getCurrentSnapshot() !== null) {
+        item.frecency = node.frecency;
+    }
+
+    return item;
+}
+
+/**
+ * Get the children bookmarks of a folder, which can be pinned, without the section headers.
+ * @param {int} parentID The folder ID.
+ * @return {Array.<{id: int, title: string, pin: {position: string, rank: int}}>} The bookmarks and their pin (null if
+ * they are not pinned).
+ */
+function getChildrenBookmarks(parentID) {
+    let children = [];
+    let node;
+
+    let options = historyService.getNewQueryOptions();
+    options.queryType = historyService.QUERY_TYPE_BOOKMARKS;
+
+    let query = historyService.getNewQuery();
+    query.setFolders([parentID], 1);
+
+    let result = historyService.executeQuery(query, options);
+
+    let rootNode = result.root;
+    rootNode.containerOpen = true;
+
+    for (let i = 0; i < rootNode.childCount; ++i) {
+        node = rootNode.getChild(i);
+
+        if ((node.type === node.RESULT_TYPE_URI || node.type === node.RESULT_TYPE_QUERY) && !hasHeaderAnnotation(node.itemId)) {
+            children.push({
+                id: node.itemId,
+                title: node.title,
+                pin: getPinAnnotation(node.itemId) || null,
+            });
+        }
+    }
+
+    rootNode.containerOpen = false;
+
+    return children;
 }
 
 /**
@@ -520,6 +1109,8 @@ function getChildrenFolders(parentID) {
                 title: folder.title,
                 excluded: hasDoNotSortAnnotation(folder.id),
                 recursivelyExcluded: hasRecursiveAnnotation(folder.id),
+                profile: getProfileAnnotation(folder.id),
+                pin: folder.pin || null,
             });
         }
     }
@@ -547,6 +1138,43 @@ let toolbarFolder = new Folder(bookmarkService.toolbarFolder);
  */
 let unsortedFolder = new Folder(bookmarkService.unfiledBookmarksFolder);
 
+/**
+ * Get the sort order of each item type from the preferences.
+ * @return {{folder: int, livemark: int, smartBookmark: int, query: int, bookmark: int}} The sort order by item type name.
+ */
+function getSortOrder() {
+    return {
+        folder: prefs.folder_sort_order,
+        livemark: prefs.livemark_sort_order,
+        smartBookmark: prefs.smart_bookmark_sort_order,
+        query: prefs.query_sort_order,
+        bookmark: prefs.bookmark_sort_order,
+    };
+}
+
+/**
+ * Get the tags of an URL.
+ * @param {string} url The URL.
+ * @return {string} The tags sorted alphabetically and separated by commas (empty if the URL has no tag).
+ */
+function getTags(url) {
+    if (!url) {
+        return "";
+    }
+
+    let snapshot = getCurrentSnapshot();
+    if (snapshot !== null) {
+        return snapshot.getTags(url);
+    }
+
+    try {
+        return taggingService.getTagsForURI(ioService.newURI(url, null, null), {}).sort().join(", ");
+    }
+    catch (exception) {
+        return "";
+    }
+}
+
 /**
  * Get the root folders.
  */
@@ -557,6 +1185,7 @@ function getRootFolders() {
             id: folder.id,
             excluded: hasDoNotSortAnnotation(folder.id),
             recursivelyExcluded: hasRecursiveAnnotation(folder.id),
+            profile: getProfileAnnotation(folder.id),
         });
     }
 
@@ -567,19 +1196,61 @@ function getRootFolders() {
     return folders;
 }
 
+/**
+ * The bookmark observer clearing the exclusions and the profiles when one of them or the parent of a folder changes.
+ */
+let folderObserver = {
+    onItemChanged: function (itemID, property, isAnnotation, newValue, lastModified, itemType) {
+        if (isAnnotation && itemType === bookmarkService.TYPE_FOLDER && isExclusionAnnotation(property)) {
+            exclusions.clear();
+        }
+        else if (isAnnotation && itemType === bookmarkService.TYPE_FOLDER && isProfileAnnotation(property)) {
+            profiles.clear();
+        }
+    },
+
+    onItemMoved: function (itemID, oldParentID, oldIndex, newParentID, newIndex, itemType) {
+        if (itemType === bookmarkService.TYPE_FOLDER && oldParentID !== newParentID) {
+            exclusions.clear();
+            profiles.clear();
+        }
+    },
+
+    // The identifiers of a removed folder and of its sub-folders can be given to new folders.
+    onItemRemoved: function (itemID, parentID, index, itemType) {
+        if (itemType === bookmarkService.TYPE_FOLDER) {
+            exclusions.clear();
+            profiles.clear();
+        }
+    },
+
+    QueryInterface: XPCOMUtils.generateQI([Ci.nsINavBookmarkObserver]),
+};
+
+bookmarkService.addObserver(folderObserver, false);
+
 exports.Bookmark = Bookmark;
 exports.BookmarkManager = BookmarkManager;
 exports.Folder = Folder;
+exports.getChildrenBookmarks = getChildrenBookmarks;
 exports.getChildrenFolders = getChildrenFolders;
+exports.getLongestIncreasingSubsequence = getLongestIncreasingSubsequence;
 exports.getRootFolders = getRootFolders;
+exports.getSortOrder = getSortOrder;
+exports.getTags = getTags;
+exports.Header = Header;
 exports.Livemark = Livemark;
 exports.menuFolder = menuFolder;
+exports.QueryBookmark = QueryBookmark;
+exports.runSelfChange = runSelfChange;
 exports.Separator = Separator;
 exports.SmartBookmark = SmartBookmark;
 exports.toolbarFolder = toolbarFolder;
 exports.unsortedFolder = unsortedFolder;
 
 when(function () {
+    bookmarkService.removeObserver(folderObserver);
+
     for (let observer of BookmarkManager.prototype.observers) {
         bookmarkService.removeObserver(observer);
     }
@@ -20,9 +20,10 @@
 const _ = require("sdk/l10n").get;
 const self = require("sdk/self");
 const data = self.data;
+const {prefs} = require("sdk/simple-prefs");
 const tabs = require("sdk/tabs");
-const {removeDoNotSortAnnotation, removeRecursiveAnnotation, setDoNotSortAnnotation, setRecursiveAnnotation} = require("lib/annotations");
-const {BookmarkManager, Folder, getChildrenFolders, getRootFolders} = require("lib/bookmarks");
+const {removeDoNotSortAnnotation, removePinAnnotation, removeProfileAnnotation, removeRecursiveAnnotation, setDoNotSortAnnotation, setPinAnnotation, setProfileAnnotation, setRecursiveAnnotation} = require("lib/annotations");
+const {BookmarkManager, Folder, getChildrenBookmarks, getChildrenFolders, getRootFolders, getSortOrder} = require("lib/bookmarks");
 const bookmarkManager = new BookmarkManager({});
 
 /**
@@ -33,7 +34,7 @@ function showConfigureFoldersToExclude() {
         function sendChildren(worker) {
             return function (parentID) {
                 let children = getChildrenFolders(parentID);
-                worker.port.emit("children", parentID, children);
+                worker.port.emit("children", parentID, children, getChildrenBookmarks(parentID));
             };
         }
 
@@ -43,6 +44,9 @@ function showConfigureFoldersToExclude() {
             if (worker && item instanceof Folder) {
                 worker.port.emit("remove-folder", item.id);
             }
+            else if (worker) {
+                worker.port.emit("remove-bookmark", item.id);
+            }
         }
 
         bookmarkManager.on("remove", onRemove);
@@ -73,15 +77,54 @@ function showConfigureFoldersToExclude() {
                         }
                     });
 
+                    worker.port.on("profile-change", function (folderID, profile) {
+                        if (profile) {
+                            setProfileAnnotation(folderID, profile);
+                        }
+                        else {
+                            removeProfileAnnotation(folderID);
+                        }
+                    });
+
+                    worker.port.on("pin-change", function (itemID, pin) {
+                        if (pin) {
+                            setPinAnnotation(itemID, pin);
+                        }
+                        else {
+                            removePinAnnotation(itemID);
+                        }
+                    });
+
                     worker.port.on("query-children", sendChildren(worker));
 
                     const texts = {
                         recursiveText: _("Recursive"),
                         messageText: _("The sub-folders are recursively excluded."),
                         loadingText: _("Loading..."),
+                        profileText: _("Sort profile"),
+                        criteriasText: _("Sort criterias (empty to use the options)"),
+                        groupByDomainText: _("group_by_domain_title"),
+                        pinTexts: {
+                            none: _("Not pinned"),
+                            top: _("Pin to top"),
+                            bottom: _("Pin to bottom"),
+                            rank: _("Pin rank"),
+                        },
+                        orderTexts: {
+                            folder: _("folder_sort_order_title"),
+                            livemark: _("livemark_sort_order_title"),
+                            smartBookmark: _("smart_bookmark_sort_order_title"),
+                            query: _("query_sort_order_title"),
+                            bookmark: _("bookmark_sort_order_title"),
+                        },
+                    };
+
+                    const defaultProfile = {
+                        groupByDomain: prefs.group_by_domain,
+                        order: getSortOrder(),
                     };
 
-                    worker.port.emit("init", getRootFolders(), data.url("add.png"), data.url("remove.png"), texts);
+                    worker.port.emit("init", getRootFolders(), data.url("add.png"), data.url("remove.png"), texts, defaultProfile);
                 });
             },
 
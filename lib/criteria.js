@@ -0,0 +1,97 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+/**
+ * The sort criterias, in the same order as the "sort_by" menu values.
+ * @type {Array.<string>}
+ */
+const sortCriterias = [
+    "title",
+    "url",
+    "description",
+    "keyword",
+    "dateAdded",
+    "lastModified",
+    "lastVisited",
+    "accessCount",
+    "revurl",
+    "site",
+    "host",
+    "path",
+    "scheme",
+    "cleanurl",
+    "frecency",
+    "childCount",
+    "descendantCount",
+    "lastActivity",
+];
+
+/**
+ * The criterias offered in the "Sort By" and "Then Sort By" menus, whose values are their indexes in `sortCriterias`.
+ * The folder criterias after them can only be chosen in the criteria chain.
+ */
+const menuCriterias = sortCriterias.slice(0, sortCriterias.indexOf("childCount"));
+
+/**
+ * Parse a criteria chain like "accessCount desc, lastVisited desc, title".
+ * Unknown criterias are skipped.
+ * @param {string} value The criteria chain.
+ * @return {Array.<{criteria: string, reverse: boolean}>} The criteria list.
+ */
+function parseCriteria(value) {
+    let criterias = [];
+
+    for (let part of (value || "").split(",")) {
+        let words = part.trim().split(/\s+/);
+        let criteria = words[0];
+        let direction = (words[1] || "asc").toLowerCase();
+
+        if (!criteria) {
+            continue;
+        }
+
+        if (sortCriterias.indexOf(criteria) === -1 || ["asc", "desc"].indexOf(direction) === -1 || words.length > 2) {
+            console.error("Invalid sort criteria: " + part.trim());
+            continue;
+        }
+
+        criterias.push({
+            criteria: criteria,
+            reverse: direction === "desc",
+        });
+    }
+
+    return criterias;
+}
+
+/**
+ * Convert a criteria list to its preference string.
+ * @param {Array.<{criteria: string, reverse: boolean}>} criterias The criteria list.
+ * @return {string} The criteria chain.
+ */
+function stringifyCriteria(criterias) {
+    return criterias.map(function (criteria) {
+        return criteria.criteria + (criteria.reverse ? " desc" : "");
+    }).join(", ");
+}
+
+exports.menuCriterias = menuCriterias;
+exports.parseCriteria = parseCriteria;
+exports.sortCriterias = sortCriterias;
+exports.stringifyCriteria = stringifyCriteria;
@@ -0,0 +1,135 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+"use strict";
+
+const {when} = require("sdk/system/unload");
+const {Cc, Ci} = require("chrome");
+
+/**
+ * The weight of a visit, by age in days, like the Places frecency buckets.
+ */
+const buckets = [
+    {days: 4, weight: 100},
+    {days: 14, weight: 70},
+    {days: 31, weight: 50},
+    {days: 90, weight: 30},
+];
+
+/**
+ * The weight of a visit older than the last bucket.
+ */
+const defaultWeight = 10;
+
+/**
+ * The number of microseconds in a day.
+ */
+const DAY = 24 * 60 * 60 * 1000 * 1000;
+
+/**
+ * The statement fetching the frecency of the bookmarks of a folder, created on first use.
+ */
+let statement;
+
+/**
+ * Compute a recency-weighted visit count, used when Places has no frecency for an URL.
+ * @param {int} lastVisited The timestamp of the last visit, in microseconds.
+ * @param {int} accessCount The access count.
+ * @param {int} now The current timestamp, in microseconds.
+ * @return {int} The frecency.
+ */
+function computeFrecency(lastVisited, accessCount, now) {
+    if (!lastVisited || !accessCount) {
+        return 0;
+    }
+
+    let age = (now - lastVisited) / DAY;
+    let weight = defaultWeight;
+
+    for (let bucket of buckets) {
+        if (age <= bucket.days) {
+            weight = bucket.weight;
+            break;
+        }
+    }
+
+    return accessCount * weight;
+}
+
+/**
+ * Get the statement fetching the frecency of the bookmarks of a folder.
+ * @return {mozIStorageStatement} The statement.
+ */
+function getStatement() {
+    if (statement === undefined) {
+        let connection = Cc["@mozilla.org/browser/nav-history-service;1"].getService(Ci.nsPIPlacesDatabase).DBConnection;
+        statement = connection.createStatement(
+            "SELECT b.id, p.frecency, p.visit_count, p.last_visit_date " +
+            "FROM moz_bookmarks b " +
+            "JOIN moz_places p ON p.id = b.fk " +
+            "WHERE b.parent = :parent"
+        );
+    }
+
+    return statement;
+}
+
+/**
+ * Get the frecency of the bookmarks of a folder, in one query, from Places or, if it is not available, computed from the visits.
+ * @param {int} folderID The folder ID.
+ * @return {Map.<int, int>} The frecencies, by bookmark identifier.
+ */
+function getFolderFrecencies(folderID) {
+    let frecencies = new Map();
+    let now = Date.now() * 1000;
+
+    try {
+        let frecencyStatement = getStatement();
+        try {
+            frecencyStatement.params.parent = folderID;
+            while (frecencyStatement.executeStep()) {
+                let row = frecencyStatement.row;
+                let frecency = row.frecency;
+
+                // A negative frecency means Places has not computed it yet.
+                if (frecency === null || frecency < 0) {
+                    frecency = computeFrecency(row.last_visit_date || 0, row.visit_count || 0, now);
+                }
+
+                frecencies.set(row.id, frecency);
+            }
+        }
+        finally {
+            frecencyStatement.reset();
+        }
+    }
+    catch (exception) {
+        console.error("failed to get the frecencies of the folder " + folderID + ". " + exception);
+    }
+
+    return frecencies;
+}
+
+exports.computeFrecency = computeFrecency;
+exports.getFolderFrecencies = getFolderFrecencies;
+
+when(function () {
+    if (statement !== undefined) {
+        statement.finalize();
+    }
+});
@@ -27,30 +27,39 @@ const tabs = require("sdk/tabs");
 const {ActionButton} = require("sdk/ui/button/action");
 const windowUtils = require("sdk/window/utils");
 const {setDoNotSortAnnotation, setRecursiveAnnotation} = require("lib/annotations");
-const {BookmarkManager, Folder, Separator, menuFolder, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
+const {BookmarkManager, Folder, getSortOrder, Separator, menuFolder, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
 const bookmarkManager = new BookmarkManager({});
 const {BookmarkSorter} = require("lib/bookmark-sorter");
 const bookmarkSorter = new BookmarkSorter();
 const {showConfigureFoldersToExclude} = require("lib/configure-folders");
+const {showConfigureNormalizationRules} = require("lib/normalization-rules");
 const {getOptionName, setPreferenceMaximum, setPreferenceMinimum} = require("lib/options");
+const {createPinMenu} = require("lib/pin-menu");
+const {menuCriterias, parseCriteria, sortCriterias, stringifyCriteria} = require("lib/criteria");
+const {compileSortRule} = require("lib/sort-rule");
+const {compileRules, defaultIgnoredPrefixes, getIgnoredPrefixes, parseRules} = require("lib/sort-keys");
+const {getPreferedLocales} = require("sdk/l10n/locale");
+const {notify} = require("sdk/notifications");
+const {clearTimeout, setTimeout} = require("sdk/timers");
 const SECOND = 1000;
-const sortCriterias = [
-    "title",
-    "url",
-    "description",
-    "keyword",
-    "dateAdded",
-    "lastModified",
-    "lastVisited",
-    "accessCount",
-    "revurl"
-];
+
+/**
+ * Indicates if the criteria preferences are being synchronized.
+ */
+let synchronizingCriteria = false;
+
+/**
+ * The timer sorting the bookmarks at midnight.
+ */
+let midnightTimer = null;
 
 /**
  * On item added/changed/moved/removed/visited callback.
+ * @param {Array.<int>} folderIDs The identifiers of the folders to sort again (undefined to sort all the folders).
+ * @param {boolean} newFolder Whether a folder was created.
  */
-function onChanged(item, deleted, newFolder, annotationChange) {
-    bookmarkSorter.setChanged();
+function onChanged(folderIDs, newFolder) {
+    bookmarkSorter.setChanged(folderIDs, newFolder);
 }
 
 /**
@@ -67,6 +76,46 @@ function sortAllBookmarks() {
     bookmarkSorter.setChanged();
 }
 
+/**
+ * Sort all bookmarks without waiting for the delay.
+ */
+function sortAllBookmarksNow() {
+    bookmarkSorter.setChanged();
+    bookmarkSorter.sortIfChanged();
+}
+
+/**
+ * Adjust the delays between the last change and the sort.
+ */
+function adjustDelays() {
+    bookmarkSorter.setDelays(prefs.delay * SECOND, prefs.folder_delay * SECOND);
+}
+
+/**
+ * Undo the last sort. The auto sort stays on: the bookmarks are sorted again at the next change.
+ */
+function undoLastSort() {
+    bookmarkSorter.undoLastSort();
+}
+
+/**
+ * Sort the bookmarks at the next midnight when some of them are grouped by date, since the date sections change every day.
+ */
+function adjustMidnightSort() {
+    clearTimeout(midnightTimer);
+    midnightTimer = null;
+
+    if (prefs.auto_sort && bookmarkSorter.usesDateSections()) {
+        let midnight = new Date();
+        midnight.setHours(24, 0, 0, 0);
+
+        midnightTimer = setTimeout(function () {
+            sortAllBookmarks();
+            adjustMidnightSort();
+        }, midnight - Date.now());
+    }
+}
+
 /**
  * Remove the bookmark observer.
  */
@@ -79,6 +128,7 @@ function removeBookmarkObserver() {
  */
 function adjustAutoSort() {
     removeBookmarkObserver();
+    adjustMidnightSort();
     if (prefs.auto_sort) {
         sortAllBookmarks();
         addBookmarkObserver();
@@ -109,19 +159,182 @@ function sortIfAuto() {
     }
 }
 
+/**
+ * Get the language of the title prefixes to ignore.
+ * @return {string} The language or undefined if no language prefixes are ignored.
+ */
+function getIgnoredPrefixesLanguage() {
+    if (prefs.ignored_prefixes_language !== "auto") {
+        return prefs.ignored_prefixes_language;
+    }
+
+    for (let locale of getPreferedLocales()) {
+        let language = locale.split("-")[0];
+        if (defaultIgnoredPrefixes.hasOwnProperty(language)) {
+            return language;
+        }
+    }
+}
+
+/**
+ * Get the collation used to compare strings.
+ * @return {{locale: string, options: object}} The locale and the Intl.Collator options.
+ */
+function getCollation() {
+    let sensitivity;
+    if (prefs.case_insensitive) {
+        sensitivity = prefs.accent_sensitive ? "accent" : "base";
+    }
+    else {
+        sensitivity = prefs.accent_sensitive ? "variant" : "case";
+    }
+
+    return {
+        locale: prefs.collation_locale.trim(),
+        options: {
+            caseFirst: prefs.case_first,
+            ignorePunctuation: prefs.ignore_punctuation,
+            numeric: prefs.numeric,
+            sensitivity: sensitivity,
+        },
+    };
+}
+
+/**
+ * Get the sort criteria of the item types which can be sorted separately.
+ * @return {object.<{criteria: string, reverse: boolean}>} The criteria by item type name (undefined if not chosen).
+ */
+function getTypeCriterias() {
+    return {
+        folder: {
+            criteria: sortCriterias[prefs.folder_sort_by],
+            reverse: prefs.folder_inverse,
+        },
+        livemark: {
+            criteria: sortCriterias[prefs.livemark_sort_by],
+            reverse: prefs.livemark_inverse,
+        },
+        smartBookmark: {
+            criteria: sortCriterias[prefs.smart_bookmark_sort_by],
+            reverse: prefs.smart_bookmark_inverse,
+        },
+        query: {
+            criteria: sortCriterias[prefs.query_sort_by],
+            reverse: prefs.query_inverse,
+        },
+    };
+}
+
+/**
+ * Compile the sort rule preference. A rule having errors is not applied at all, since a rule missing some of its keys would
+ * sort the bookmarks differently than intended.
+ * @return {Array.<{evaluate: Function, reverse: boolean}>} The compiled keys (empty if the rule has errors).
+ */
+function getSortRule() {
+    let sortRule = compileSortRule(prefs.sort_rule);
+    return sortRule.errors.length > 0 ? [] : sortRule.keys;
+}
+
 /**
  * Adjust the sort criteria of the bookmark sorter.
  */
 function adjustSortCriteria() {
-    let differentFolderOrder = prefs.folder_sort_order !== prefs.livemark_sort_order && prefs.folder_sort_order !== prefs.smart_bookmark_sort_order && prefs.folder_sort_order !== prefs.bookmark_sort_order;
-    bookmarkSorter.setCriteria(sortCriterias[prefs.sort_by], prefs.inverse,
-        sortCriterias[prefs.then_sort_by] || undefined, prefs.then_inverse,
-        sortCriterias[prefs.folder_sort_by], prefs.folder_inverse,
-        differentFolderOrder, prefs.case_insensitive
+    bookmarkSorter.setCriteria(parseCriteria(prefs.sort_criteria),
+        getTypeCriterias(), getSortOrder(), getCollation(),
+        getIgnoredPrefixes(getIgnoredPrefixesLanguage(), prefs.ignored_prefixes),
+        compileRules(parseRules(prefs.normalization_rules)).rules,
+        prefs.group_by_domain,
+        prefs.section_headers ? prefs.section_headers_minimum : 0,
+        prefs.date_sections,
+        getSortRule()
     );
+    adjustMidnightSort();
     sortIfAuto();
 }
 
+/**
+ * Show the errors of the sort rule preference when it is changed, then adjust the sort criteria.
+ */
+function onSortRuleChanged() {
+    let errors = compileSortRule(prefs.sort_rule).errors;
+    if (errors.length > 0) {
+        notify({
+            title: _("The sort rule is not applied because it has errors"),
+            text: errors.join("\n"),
+        });
+    }
+
+    adjustSortCriteria();
+}
+
+/**
+ * Get the criterias chosen in the "Sort By" and "Then Sort By" preferences.
+ * @return {Array.<{criteria: string, reverse: boolean}>} The criteria list.
+ */
+function getMenuCriterias() {
+    let criterias = [{
+        criteria: sortCriterias[prefs.sort_by],
+        reverse: prefs.inverse,
+    }];
+
+    if (sortCriterias[prefs.then_sort_by] !== undefined) {
+        criterias.push({
+            criteria: sortCriterias[prefs.then_sort_by],
+            reverse: prefs.then_inverse,
+        });
+    }
+
+    return criterias;
+}
+
+/**
+ * Replace the first two criterias of the criteria chain by the "Sort By" and "Then Sort By" choices.
+ */
+function adjustCriteriaChain() {
+    if (synchronizingCriteria) {
+        return;
+    }
+
+    let criterias = getMenuCriterias().concat(parseCriteria(prefs.sort_criteria).slice(2));
+
+    synchronizingCriteria = true;
+    prefs.sort_criteria = stringifyCriteria(criterias);
+    synchronizingCriteria = false;
+    adjustSortCriteria();
+}
+
+/**
+ * Show the first two criterias of the criteria chain in the "Sort By" and "Then Sort By" choices.
+ */
+function adjustCriteriaMenus() {
+    if (synchronizingCriteria) {
+        return;
+    }
+
+    let criterias = parseCriteria(prefs.sort_criteria);
+
+    // The menus are left unchanged for the criterias they do not offer.
+    synchronizingCriteria = true;
+    if (criterias.length > 0 && menuCriterias.indexOf(criterias[0].criteria) !== -1) {
+        prefs.sort_by = menuCriterias.indexOf(criterias[0].criteria);
+        prefs.inverse = criterias[0].reverse;
+    }
+
+    if (criterias.length > 1) {
+        if (menuCriterias.indexOf(criterias[1].criteria) !== -1) {
+            prefs.then_sort_by = menuCriterias.indexOf(criterias[1].criteria);
+            prefs.then_inverse = criterias[1].reverse;
+        }
+    }
+    else {
+        prefs.then_sort_by = -1;
+        prefs.then_inverse = false;
+    }
+
+    synchronizingCriteria = false;
+    adjustSortCriteria();
+}
+
 /**
  * Create the events.
  */
@@ -130,25 +343,53 @@ function createEvents() {
         adjustAutoSort();
     });
 
-    let preferences = ["folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "bookmark_sort_order"];
+    let preferences = ["folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "query_sort_order", "bookmark_sort_order"];
 
     for (let preference of preferences) {
         simplePrefs.on(preference, sortIfAuto);
     }
 
+    simplePrefs.on("delay", adjustDelays);
+    simplePrefs.on("folder_delay", adjustDelays);
     simplePrefs.on("case_insensitive", adjustSortCriteria);
-    simplePrefs.on("sort_by", adjustSortCriteria);
-    simplePrefs.on("then_sort_by", adjustSortCriteria);
+    simplePrefs.on("accent_sensitive", adjustSortCriteria);
+    simplePrefs.on("ignore_punctuation", adjustSortCriteria);
+    simplePrefs.on("case_first", adjustSortCriteria);
+    simplePrefs.on("numeric", adjustSortCriteria);
+    simplePrefs.on("collation_locale", adjustSortCriteria);
+    simplePrefs.on("ignored_prefixes_language", adjustSortCriteria);
+    simplePrefs.on("ignored_prefixes", adjustSortCriteria);
+    simplePrefs.on("normalization_rules", adjustSortCriteria);
+    simplePrefs.on("group_by_domain", adjustSortCriteria);
+    simplePrefs.on("section_headers", adjustSortCriteria);
+    simplePrefs.on("section_headers_minimum", adjustSortCriteria);
+    simplePrefs.on("date_sections", adjustSortCriteria);
+    simplePrefs.on("sort_rule", onSortRuleChanged);
+    simplePrefs.on("sort_criteria", adjustCriteriaMenus);
+    simplePrefs.on("sort_by", adjustCriteriaChain);
+    simplePrefs.on("then_sort_by", adjustCriteriaChain);
     simplePrefs.on("folder_sort_by", adjustSortCriteria);
-    simplePrefs.on("inverse", adjustSortCriteria);
-    simplePrefs.on("then_inverse", adjustSortCriteria);
+    simplePrefs.on("inverse", adjustCriteriaChain);
+    simplePrefs.on("then_inverse", adjustCriteriaChain);
     simplePrefs.on("folder_inverse", adjustSortCriteria);
+    simplePrefs.on("livemark_sort_by", adjustSortCriteria);
+    simplePrefs.on("livemark_inverse", adjustSortCriteria);
+    simplePrefs.on("smart_bookmark_sort_by", adjustSortCriteria);
+    simplePrefs.on("smart_bookmark_inverse", adjustSortCriteria);
+    simplePrefs.on("query_sort_by", adjustSortCriteria);
+    simplePrefs.on("query_inverse", adjustSortCriteria);
     simplePrefs.on("folder_sort_order", adjustSortCriteria);
     simplePrefs.on("livemark_sort_order", adjustSortCriteria);
     simplePrefs.on("smart_bookmark_sort_order", adjustSortCriteria);
+    simplePrefs.on("query_sort_order", adjustSortCriteria);
     simplePrefs.on("bookmark_sort_order", adjustSortCriteria);
 
+    simplePrefs.on("undo_sort", undoLastSort);
     simplePrefs.on("exclude_folders", showConfigureFoldersToExclude(sortIfAuto));
+    simplePrefs.on("configure_normalization_rules", showConfigureNormalizationRules());
+
+    // The profiles grouping items by date are only known once their folders are sorted.
+    bookmarkSorter.on("sorted", adjustMidnightSort);
 }
 
 /**
@@ -202,7 +443,23 @@ function createWidgets(install) {
             64: "./icon-64.png"
         },
         label: _("sort_bookmarks"),
-        onClick: sortAllBookmarks
+        onClick: sortAllBookmarksNow
+    });
+
+    let undoButton = ActionButton({
+        id: "undo-sort",
+        icon: {
+            16: "./undo-16.png",
+            32: "./undo-32.png",
+            64: "./undo-64.png"
+        },
+        label: _("undo_sort"),
+        disabled: !bookmarkSorter.canUndo(),
+        onClick: undoLastSort
+    });
+
+    bookmarkSorter.on("undo-changed", function (canUndo) {
+        undoButton.disabled = !canUndo;
     });
 
     if (install) {
@@ -217,6 +474,26 @@ function exit(reason) {
     // do nothing
 }
 
+/**
+ * Compare two version numbers like "2.9.1", part by part.
+ * @param {string} version1 The first version.
+ * @param {string} version2 The second version.
+ * @return {int} A negative number if `version1` is older, a positive number if it is newer and 0 if they are the same.
+ */
+function compareVersions(version1, version2) {
+    let parts1 = version1.split(".");
+    let parts2 = version2.split(".");
+
+    for (let i = 0; i < Math.max(parts1.length, parts2.length); ++i) {
+        let difference = (parseInt(parts1[i], 10) || 0) - (parseInt(parts2[i], 10) || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+
+    return 0;
+}
+
 /**
  * Migrate to set the default folder sort order and the default folders to exclude.
  */
@@ -226,7 +503,7 @@ function migrate(upgrade) {
             prefs.migration = "2.7";
         }
 
-        if (prefs.migration < "2.8") {
+        if (compareVersions(prefs.migration, "2.8") < 0) {
             if ([0, 2, 4, 5].indexOf(prefs.sort_by) >= 0) {
                 prefs.folder_sort_by = prefs.sort_by;
                 prefs.folder_inverse = prefs.inverse;
@@ -252,6 +529,13 @@ function migrate(upgrade) {
             delete prefs.sort_unsorted;
         }
 
+        if (compareVersions(prefs.migration, "2.11") < 0) {
+            prefs.sort_criteria = stringifyCriteria(getMenuCriterias());
+
+            // The query bookmarks were sorted with the other bookmarks before having their own sort order.
+            prefs.query_sort_order = prefs.bookmark_sort_order;
+        }
+
         prefs.migration = self.version;
     }
 }
@@ -260,13 +544,14 @@ function migrate(upgrade) {
  * Set the minimum and maximum of integer preferences.
  */
 function setPreferenceMinimumMaximum() {
-    let preferences = ["folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "bookmark_sort_order"];
+    let preferences = ["folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "query_sort_order", "bookmark_sort_order"];
     for (let preference of preferences) {
         setPreferenceMinimum(preference, 1);
         setPreferenceMaximum(preference, 4);
     }
 
     setPreferenceMinimum("folder_delay", 3);
+    setPreferenceMinimum("section_headers_minimum", 1);
 }
 
 /**
@@ -276,6 +561,8 @@ function main(options) {
     migrate(options.loadReason === "upgrade");
     adjustFirstRun();
     createWidgets(options.loadReason === "install");
+    createPinMenu();
+    adjustDelays();
     adjustSortCriteria();
     adjustAutoSort();
     createEvents();
@@ -287,6 +574,10 @@ exports.main = main;
 exports.onUnload = exit;
 
 exports.adjustAutoSort = adjustAutoSort;
+exports.adjustCriteriaChain = adjustCriteriaChain;
+exports.adjustCriteriaMenus = adjustCriteriaMenus;
 exports.adjustSortCriteria = adjustSortCriteria;
 exports.createEvents = createEvents;
+exports.getCollation = getCollation;
+exports.migrate = migrate;
 exports.setPreferenceMinimumMaximum = setPreferenceMinimumMaximum;
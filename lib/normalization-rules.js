@@ -0,0 +1,64 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const _ = require("sdk/l10n").get;
+const self = require("sdk/self");
+const data = self.data;
+const {prefs} = require("sdk/simple-prefs");
+const tabs = require("sdk/tabs");
+const {compileRules, normalize, parseRules} = require("lib/sort-keys");
+
+/**
+ * Show the page to configure the normalization rules.
+ */
+function showConfigureNormalizationRules() {
+    return function () {
+        tabs.open({
+            url: data.url("normalizationRules.html"),
+            onOpen: function (tab) {
+                tab.on("ready", function () {
+                    let worker = tab.attach({
+                        contentScriptFile: data.url("normalizationRules.js")
+                    });
+
+                    // The rules are only tested while they are edited, so that the bookmarks are not sorted with unfinished rules.
+                    worker.port.on("rules-change", function (rules, sample) {
+                        let compiled = compileRules(rules);
+                        worker.port.emit("result", compiled.errors, normalize(sample, compiled.rules));
+                    });
+
+                    worker.port.on("rules-save", function (rules) {
+                        prefs.normalization_rules = JSON.stringify(rules);
+                    });
+
+                    const texts = {
+                        findText: _("Find"),
+                        replaceText: _("Replace"),
+                        flagsText: _("Flags"),
+                        removeText: _("Remove"),
+                    };
+
+                    worker.port.emit("init", parseRules(prefs.normalization_rules), texts);
+                });
+            },
+        });
+    };
+}
+
+exports.showConfigureNormalizationRules = showConfigureNormalizationRules;
@@ -0,0 +1,221 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const _ = require("sdk/l10n").get;
+const {WindowTracker} = require("sdk/deprecated/window-utils");
+const {getAnchorAnnotation, getPinAnnotation, removeAnchorAnnotation, removePinAnnotation, setAnchorAnnotation, setPinAnnotation} = require("lib/annotations");
+const {Folder} = require("lib/bookmarks");
+const {Cc, Ci} = require("chrome");
+const bookmarkService = Cc["@mozilla.org/browser/nav-bookmarks-service;1"].getService(Ci.nsINavBookmarksService);
+
+/**
+ * The identifier of the pin menu in the places context menu.
+ */
+const menuID = "autosortbookmarks-pin-menu";
+
+/**
+ * The popupshowing listeners, by window.
+ * @type {WeakMap.<Window, Function>}
+ */
+const listeners = new WeakMap();
+
+/**
+ * Get the rank following the ranks of the items already pinned at `position` in a folder.
+ * @param {int} parentID The folder ID.
+ * @param {string} position The pin position ("top" or "bottom").
+ * @return {int} The next rank.
+ */
+function getNextPinRank(parentID, position) {
+    let folder = new Folder(parentID);
+    let rank = 0;
+
+    for (let children of folder.getChildren()) {
+        for (let item of children) {
+            if (item.pin !== undefined && item.pin.position === position) {
+                rank = Math.max(rank, (item.pin.rank || 0) + 1);
+            }
+        }
+    }
+
+    return rank;
+}
+
+/**
+ * Pin an item after the items already pinned at `position`, anchor it at its current index if `position` is "anchor",
+ * or unpin it if `position` is null.
+ * @param {int} itemID The item ID.
+ * @param {string} position The pin position ("top", "bottom" or "anchor") or null.
+ */
+function pinItem(itemID, position) {
+    if (position === "anchor") {
+        removePinAnnotation(itemID);
+        setAnchorAnnotation(itemID, bookmarkService.getItemIndex(itemID));
+        return;
+    }
+
+    removeAnchorAnnotation(itemID);
+
+    if (position === null) {
+        removePinAnnotation(itemID);
+        return;
+    }
+
+    let pin = getPinAnnotation(itemID);
+    if (pin === undefined || pin.position !== position) {
+        setPinAnnotation(itemID, {
+            position: position,
+            rank: getNextPinRank(bookmarkService.getFolderIdForItem(itemID), position),
+        });
+    }
+}
+
+/**
+ * Get the identifiers of the bookmark items selected in the view where the context menu was opened.
+ * @param {Window} window The window containing the places context menu.
+ * @return {Array.<int>} The item identifiers.
+ */
+function getSelectedItemIDs(window) {
+    let view = window.PlacesUIUtils.getViewForNode(window.document.popupNode);
+    if (!view) {
+        return [];
+    }
+
+    return view.selectedNodes.filter(function (node) {
+        return node.itemId > 0 && node.type !== node.RESULT_TYPE_SEPARATOR;
+    }).map(function (node) {
+        return node.itemId;
+    });
+}
+
+/**
+ * Create the command pinning the selected items at `position`.
+ * @param {Window} window The window containing the places context menu.
+ * @param {string} position The pin position ("top" or "bottom") or null to unpin.
+ * @return {Function} The command listener.
+ */
+function createPinCommand(window, position) {
+    return function () {
+        for (let itemID of getSelectedItemIDs(window)) {
+            pinItem(itemID, position);
+        }
+    };
+}
+
+/**
+ * Add the pin menu to the places context menu of `window`, if it has one.
+ * @param {Window} window The window.
+ */
+function addPinMenu(window) {
+    let document = window.document;
+    let placesContext = document.getElementById("placesContext");
+    if (!placesContext || !window.PlacesUIUtils) {
+        return;
+    }
+
+    let menu = document.createElement("menu");
+    menu.id = menuID;
+    menu.setAttribute("label", _("Pin"));
+    menu.setAttribute("selection", "bookmark|folder|query|livemark/feedURI");
+    menu.setAttribute("selectiontype", "single|multiple");
+
+    let popup = document.createElement("menupopup");
+    let menuItems = [];
+
+    let choices = [
+        {position: "top", label: _("Pin to top")},
+        {position: "bottom", label: _("Pin to bottom")},
+        {position: "anchor", label: _("Anchor at this position")},
+        {position: null, label: _("Not pinned")},
+    ];
+
+    for (let choice of choices) {
+        let menuItem = document.createElement("menuitem");
+        menuItem.setAttribute("label", choice.label);
+        menuItem.setAttribute("type", "radio");
+        menuItem.setAttribute("name", menuID);
+        menuItem.addEventListener("command", createPinCommand(window, choice.position), false);
+
+        menuItems.push({
+            position: choice.position,
+            element: menuItem,
+        });
+        popup.appendChild(menuItem);
+    }
+
+    menu.appendChild(popup);
+    placesContext.appendChild(menu);
+
+    let onPopupShowing = function (event) {
+        if (event.target !== placesContext) {
+            return;
+        }
+
+        // Check the position of the first selected item.
+        let itemIDs = getSelectedItemIDs(window);
+        let position = null;
+        if (itemIDs.length > 0) {
+            let pin = getPinAnnotation(itemIDs[0]);
+            if (getAnchorAnnotation(itemIDs[0]) !== undefined) {
+                position = "anchor";
+            }
+            else if (pin !== undefined) {
+                position = pin.position;
+            }
+        }
+
+        for (let menuItem of menuItems) {
+            menuItem.element.setAttribute("checked", menuItem.position === position);
+        }
+    };
+
+    placesContext.addEventListener("popupshowing", onPopupShowing, false);
+    listeners.set(window, onPopupShowing);
+}
+
+/**
+ * Remove the pin menu from the places context menu of `window`.
+ * @param {Window} window The window.
+ */
+function removePinMenu(window) {
+    let document = window.document;
+    let menu = document.getElementById(menuID);
+    if (menu) {
+        menu.parentNode.removeChild(menu);
+    }
+
+    let placesContext = document.getElementById("placesContext");
+    if (placesContext && listeners.has(window)) {
+        placesContext.removeEventListener("popupshowing", listeners.get(window), false);
+        listeners.delete(window);
+    }
+}
+
+/**
+ * Add the pin menu to the places context menu of the browser and Library windows.
+ */
+function createPinMenu() {
+    return new WindowTracker({
+        onTrack: addPinMenu,
+        onUntrack: removePinMenu,
+    });
+}
+
+exports.createPinMenu = createPinMenu;
+exports.getNextPinRank = getNextPinRank;
+exports.pinItem = pinItem;
@@ -0,0 +1,119 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+
+"use strict";
+
+const {data} = require("sdk/self");
+
+/**
+ * The public suffix list, loaded on first use.
+ */
+let publicSuffixList;
+
+/**
+ * Parse the rules of a public suffix list.
+ * @param {string} text The list, in the publicsuffix.org format.
+ * @return {{rules: Set.<string>, wildcards: Set.<string>, exceptions: Set.<string>}} The rules by kind.
+ */
+function parseList(text) {
+    let list = {
+        rules: new Set(),
+        wildcards: new Set(),
+        exceptions: new Set(),
+    };
+
+    for (let line of text.split("\n")) {
+        let rule = line.trim().split(/\s/)[0].toLowerCase();
+
+        if (!rule || rule.startsWith("//")) {
+            continue;
+        }
+
+        if (rule.startsWith("!")) {
+            list.exceptions.add(rule.substr(1));
+        }
+        else if (rule.startsWith("*.")) {
+            list.wildcards.add(rule.substr(2));
+        }
+        else {
+            list.rules.add(rule);
+        }
+    }
+
+    return list;
+}
+
+/**
+ * Get the bundled public suffix list.
+ * @return {{rules: Set.<string>, wildcards: Set.<string>, exceptions: Set.<string>}} The public suffix list.
+ */
+function getPublicSuffixList() {
+    if (publicSuffixList === undefined) {
+        publicSuffixList = parseList(data.load("public_suffix_list.dat"));
+    }
+
+    return publicSuffixList;
+}
+
+/**
+ * Get the registrable domain (the public suffix and one more label) of a host.
+ * @param {string} host The lower-case host name.
+ * @param {object} list The public suffix list (the bundled one if not specified).
+ * @return {string} The registrable domain, or the host itself if it is an IP address or a public suffix.
+ */
+function getRegistrableDomain(host, list) {
+    list = list || getPublicSuffixList();
+
+    if (/^[\d.]+$/.test(host) || host.indexOf(":") !== -1) {
+        return host;
+    }
+
+    let labels = host.split(".");
+
+    // The default rule is "*", so the public suffix is at least the last label.
+    let suffixLength = 1;
+
+    for (let i = 0; i < labels.length; ++i) {
+        let candidate = labels.slice(i).join(".");
+
+        if (list.exceptions.has(candidate)) {
+            suffixLength = labels.length - i - 1;
+            break;
+        }
+
+        // A wildcard rule also matches the previous label, so it is longer than a rule at the same level.
+        if (i > 0 && list.wildcards.has(candidate)) {
+            suffixLength = labels.length - i + 1;
+            break;
+        }
+
+        if (list.rules.has(candidate)) {
+            suffixLength = labels.length - i;
+            break;
+        }
+    }
+
+    if (suffixLength >= labels.length) {
+        return host;
+    }
+
+    return labels.slice(labels.length - suffixLength - 1).join(".");
+}
+
+exports.getRegistrableDomain = getRegistrableDomain;
+exports.parseList = parseList;
@@ -0,0 +1,228 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {getRegistrableDomain} = require("lib/public-suffix");
+
+/**
+ * The default prefixes ignored when sorting by title, by language.
+ * @type {object.<Array.<string>>}
+ */
+const defaultIgnoredPrefixes = {
+    de: ["der", "die", "das", "den", "dem", "des", "ein", "eine", "einen", "einem", "einer", "eines"],
+    en: ["the", "a", "an"],
+    fr: ["le", "la", "les", "l'", "l’", "un", "une", "des", "du"],
+};
+
+/**
+ * Compile the normalization rules, skipping the invalid ones.
+ * @param {Array.<{find: string, replace: string, flags: string}>} rules The normalization rules.
+ * @return {{rules: Array.<{regex: RegExp, replace: string}>, errors: Array.<string>}} The compiled rules and the error of each rule (null if valid).
+ */
+function compileRules(rules) {
+    let compiledRules = [];
+    let errors = [];
+
+    for (let rule of rules || []) {
+        let error = null;
+
+        try {
+            if (!rule.find) {
+                throw new Error("The regular expression is empty.");
+            }
+
+            compiledRules.push({
+                regex: new RegExp(rule.find, rule.flags === undefined ? "g" : rule.flags),
+                replace: rule.replace || "",
+            });
+        }
+        catch (exception) {
+            error = exception.message;
+        }
+
+        errors.push(error);
+    }
+
+    return {
+        rules: compiledRules,
+        errors: errors,
+    };
+}
+
+/**
+ * Split an URL into its scheme, host name, path and the rest of the URL (query and fragment).
+ * @param {string} url The URL.
+ * @return {{scheme: string, host: string, path: string, rest: string}} The lower-case scheme and host name (empty if the URL has none), the path and the rest.
+ */
+function parseUrl(url) {
+    let match = /^([a-z][a-z0-9+.\-]*):(?:\/\/(?:[^@\/?#]*@)?(\[[^\]]*\]|[^:\/?#]*)(?::\d*)?)?([^?#]*)(.*)$/i.exec(url || "");
+    if (match === null) {
+        return {
+            scheme: "",
+            host: "",
+            path: url || "",
+            rest: "",
+        };
+    }
+
+    return {
+        scheme: match[1].toLowerCase(),
+        host: (match[2] || "").toLowerCase(),
+        path: match[3],
+        rest: match[4],
+    };
+}
+
+/**
+ * The names of the query parameters only used to track the visitors, like utm_source or fbclid.
+ */
+const trackingParameter = /^(?:utm_\w*|fbclid|gclid|dclid|msclkid|yclid|igshid|mc_cid|mc_eid|_hsenc|_hsmi)$/i;
+
+/**
+ * Remove the tracking parameters and the fragment of an URL.
+ * @param {string} url The URL.
+ * @return {string} The URL without its tracking parameters and fragment.
+ */
+function getCleanUrl(url) {
+    let parts = (url || "").replace(/#.*$/, "").split("?");
+    let base = parts.shift();
+    let parameters = parts.join("?").split("&").filter(function (parameter) {
+        return parameter !== "" && !trackingParameter.test(parameter.split("=")[0]);
+    });
+
+    return parameters.length > 0 ? base + "?" + parameters.join("&") : base;
+}
+
+/**
+ * Get the host name of an URL, without the "www." prefix.
+ * @param {string} url The URL.
+ * @return {string} The lower-case host name or an empty string if the URL has none.
+ */
+function getHost(url) {
+    return parseUrl(url).host.replace(/^www\./, "");
+}
+
+/**
+ * Get the site sort key of an URL: its registrable domain (like bbc.co.uk), then its subdomain
+ * without the "www" and "m" labels, then its path.
+ * @param {string} url The URL.
+ * @param {object} list The public suffix list (the bundled one if not specified).
+ * @return {Array.<string>} The sort key parts.
+ */
+function getSiteKey(url, list) {
+    let parsedUrl = parseUrl(url);
+    if (!parsedUrl.host) {
+        return ["", "", parsedUrl.path + parsedUrl.rest];
+    }
+
+    let domain = getRegistrableDomain(parsedUrl.host, list);
+    let subdomain = parsedUrl.host.substr(0, parsedUrl.host.length - domain.length).replace(/\.$/, "");
+
+    return [domain, subdomain.replace(/^(?:(?:www|m)(?:\.|$))+/, ""), parsedUrl.path + parsedUrl.rest];
+}
+
+/**
+ * Get the prefixes to ignore when sorting by title.
+ * @param {string} language The language of the default prefixes to use (optional).
+ * @param {string} customPrefixes The comma-separated list of other prefixes to ignore.
+ * @return {Array.<string>} The lower-case prefixes, longest first.
+ */
+function getIgnoredPrefixes(language, customPrefixes) {
+    let prefixes = (defaultIgnoredPrefixes[language] || []).slice();
+
+    for (let prefix of (customPrefixes || "").split(",")) {
+        prefix = prefix.trim().toLowerCase();
+        if (prefix && prefixes.indexOf(prefix) === -1) {
+            prefixes.push(prefix);
+        }
+    }
+
+    return prefixes.sort(function (prefix1, prefix2) {
+        return prefix2.length - prefix1.length;
+    });
+}
+
+/**
+ * Remove the first ignored prefix found at the start of `str`.
+ * A prefix must be followed by a space unless it ends with an apostrophe (like "l'").
+ * @param {string} str The string.
+ * @param {Array.<string>} prefixes The lower-case prefixes to ignore.
+ * @return {string} The string without its prefix.
+ */
+function removeIgnoredPrefix(str, prefixes) {
+    let lowerStr = str.toLowerCase();
+
+    for (let prefix of prefixes) {
+        if (lowerStr.startsWith(prefix)) {
+            let rest = str.substr(prefix.length);
+            let elided = /['’]$/.test(prefix);
+
+            if (elided && rest.length > 0 || /^\s+\S/.test(rest)) {
+                return rest.replace(/^\s+/, "");
+            }
+        }
+    }
+
+    return str;
+}
+
+/**
+ * Apply the normalization `rules` to `str`.
+ * @param {string} str The string.
+ * @param {Array.<{regex: RegExp, replace: string}>} rules The compiled normalization rules.
+ * @return {string} The normalized string.
+ */
+function normalize(str, rules) {
+    for (let rule of rules) {
+        rule.regex.lastIndex = 0;
+        str = str.replace(rule.regex, rule.replace);
+    }
+
+    return str;
+}
+
+/**
+ * Parse the normalization rules preference.
+ * @param {string} value The JSON array of rules.
+ * @return {Array.<{find: string, replace: string, flags: string}>} The normalization rules.
+ */
+function parseRules(value) {
+    try {
+        let rules = JSON.parse(value || "[]");
+        if (Array.isArray(rules)) {
+            return rules;
+        }
+    }
+    catch (exception) {
+        // Nothing to do.
+    }
+
+    console.error("Invalid normalization rules: " + value);
+    return [];
+}
+
+exports.compileRules = compileRules;
+exports.defaultIgnoredPrefixes = defaultIgnoredPrefixes;
+exports.getCleanUrl = getCleanUrl;
+exports.getHost = getHost;
+exports.getIgnoredPrefixes = getIgnoredPrefixes;
+exports.getSiteKey = getSiteKey;
+exports.normalize = normalize;
+exports.parseRules = parseRules;
+exports.parseUrl = parseUrl;
+exports.removeIgnoredPrefix = removeIgnoredPrefix;
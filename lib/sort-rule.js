@@ -0,0 +1,440 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const _ = require("sdk/l10n").get;
+
+/*
+ * A sort rule is a list of key expressions separated by semicolons, each optionally followed by "asc" or "desc":
+ *
+ *     type == "folder" and startsWith(title, "_"); keyword != ""; host; title
+ *
+ * The expressions are parsed into a tree of functions: nothing is evaluated with eval().
+ */
+
+/**
+ * The bookmark fields which can be used in the expressions.
+ * @type {Array.<string>}
+ */
+const fieldNames = ["title", "url", "host", "keyword", "description", "dateAdded", "lastModified", "lastVisited", "accessCount", "frecency", "type", "tags"];
+
+/**
+ * The functions which can be used in the expressions, with their number of arguments.
+ */
+const functions = {
+    contains: {
+        argumentCount: 2,
+        call: function (str, search) {
+            return String(str).indexOf(String(search)) !== -1;
+        },
+    },
+    endsWith: {
+        argumentCount: 2,
+        call: function (str, suffix) {
+            return String(str).endsWith(String(suffix));
+        },
+    },
+    length: {
+        argumentCount: 1,
+        call: function (str) {
+            return String(str).length;
+        },
+    },
+    lower: {
+        argumentCount: 1,
+        call: function (str) {
+            return String(str).toLowerCase();
+        },
+    },
+    startsWith: {
+        argumentCount: 2,
+        call: function (str, prefix) {
+            return String(str).startsWith(String(prefix));
+        },
+    },
+    upper: {
+        argumentCount: 1,
+        call: function (str) {
+            return String(str).toUpperCase();
+        },
+    },
+};
+
+/**
+ * The comparison operators.
+ */
+const operators = {
+    "==": function (value1, value2) {
+        return value1 === value2;
+    },
+    "!=": function (value1, value2) {
+        return value1 !== value2;
+    },
+    "<": function (value1, value2) {
+        return value1 < value2;
+    },
+    "<=": function (value1, value2) {
+        return value1 <= value2;
+    },
+    ">": function (value1, value2) {
+        return value1 > value2;
+    },
+    ">=": function (value1, value2) {
+        return value1 >= value2;
+    },
+};
+
+/**
+ * The words which cannot be used as field names.
+ */
+const keywords = ["and", "or", "not", "true", "false", "asc", "desc"];
+
+/**
+ * Split a key expression into tokens.
+ * @param {string} text The key expression.
+ * @return {Array.<{type: string, value: *, column: int}>} The tokens (types: "number", "string", "word", "operator", "punctuation" and "end").
+ */
+function tokenize(text) {
+    let tokens = [];
+    let index = 0;
+
+    while (index < text.length) {
+        let character = text[index];
+        let column = index + 1;
+        let match;
+
+        if (/\s/.test(character)) {
+            ++index;
+        }
+        else if (character === "\"" || character === "'") {
+            let value = "";
+            ++index;
+            while (index < text.length && text[index] !== character) {
+                if (text[index] === "\\" && index + 1 < text.length) {
+                    ++index;
+                }
+
+                value += text[index];
+                ++index;
+            }
+
+            if (index >= text.length) {
+                throw new Error(_("sort_rule_unterminated_string", column));
+            }
+
+            ++index;
+            tokens.push({type: "string", value: value, column: column});
+        }
+        else if ((match = /^\d+(?:\.\d+)?/.exec(text.substr(index))) !== null) {
+            tokens.push({type: "number", value: parseFloat(match[0]), column: column});
+            index += match[0].length;
+        }
+        else if ((match = /^[A-Za-z_]\w*/.exec(text.substr(index))) !== null) {
+            tokens.push({type: "word", value: match[0], column: column});
+            index += match[0].length;
+        }
+        else if ((match = /^(?:==|!=|<=|>=|<|>)/.exec(text.substr(index))) !== null) {
+            tokens.push({type: "operator", value: match[0], column: column});
+            index += match[0].length;
+        }
+        else if (character === "(" || character === ")" || character === ",") {
+            tokens.push({type: "punctuation", value: character, column: column});
+            ++index;
+        }
+        else {
+            throw new Error(_("sort_rule_unexpected_character", character, column));
+        }
+    }
+
+    tokens.push({type: "end", value: "", column: text.length + 1});
+    return tokens;
+}
+
+/**
+ * Describe a token for an error message.
+ * @param {{type: string, value: *, column: int}} token The token.
+ * @return {string} The description.
+ */
+function describeToken(token) {
+    if (token.type === "end") {
+        return _("sort_rule_end");
+    }
+
+    return _("sort_rule_token", token.value, token.column);
+}
+
+/**
+ * Parse a key expression into a function.
+ * @param {string} text The key expression, optionally followed by "asc" or "desc".
+ * @return {{evaluate: Function, fields: Array.<string>, reverse: boolean}} The function computing the key from a field getter,
+ * the fields it reads and the direction.
+ */
+function parseKey(text) {
+    let tokens = tokenize(text);
+    let position = 0;
+    let fields = [];
+
+    function peek() {
+        return tokens[position];
+    }
+
+    function next() {
+        return tokens[position++];
+    }
+
+    function isWord(token, word) {
+        return token.type === "word" && token.value === word;
+    }
+
+    function expect(type, value) {
+        let token = next();
+        if (token.type !== type || token.value !== value) {
+            throw new Error(_("sort_rule_expected", value, describeToken(token)));
+        }
+    }
+
+    let parseOr;
+
+    function parseCall(nameToken) {
+        let func = functions[nameToken.value];
+        if (func === undefined) {
+            throw new Error(_("sort_rule_unknown_function", nameToken.value, nameToken.column, Object.keys(functions).join(", ")));
+        }
+
+        expect("punctuation", "(");
+
+        let args = [];
+        if (!(peek().type === "punctuation" && peek().value === ")")) {
+            args.push(parseOr());
+            while (peek().type === "punctuation" && peek().value === ",") {
+                next();
+                args.push(parseOr());
+            }
+        }
+
+        expect("punctuation", ")");
+
+        if (args.length !== func.argumentCount) {
+            throw new Error(_("sort_rule_argument_count", nameToken.value, nameToken.column, func.argumentCount, args.length));
+        }
+
+        return function (getField) {
+            return func.call.apply(null, args.map(function (arg) {
+                return arg(getField);
+            }));
+        };
+    }
+
+    function parsePrimary() {
+        let token = next();
+
+        switch (token.type) {
+            case "number":
+            case "string":
+                return function () {
+                    return token.value;
+                };
+            case "punctuation":
+                if (token.value === "(") {
+                    let expression = parseOr();
+                    expect("punctuation", ")");
+                    return expression;
+                }
+
+                break;
+            case "word":
+                if (token.value === "true" || token.value === "false") {
+                    let value = token.value === "true";
+                    return function () {
+                        return value;
+                    };
+                }
+
+                if (peek().type === "punctuation" && peek().value === "(") {
+                    return parseCall(token);
+                }
+
+                if (fieldNames.indexOf(token.value) !== -1) {
+                    if (fields.indexOf(token.value) === -1) {
+                        fields.push(token.value);
+                    }
+
+                    return function (getField) {
+                        return getField(token.value);
+                    };
+                }
+
+                if (keywords.indexOf(token.value) === -1) {
+                    throw new Error(_("sort_rule_unknown_field", token.value, token.column, fieldNames.join(", ")));
+                }
+
+                break;
+        }
+
+        throw new Error(_("sort_rule_unexpected", describeToken(token)));
+    }
+
+    function parseComparison() {
+        let left = parsePrimary();
+
+        if (peek().type === "operator") {
+            let operator = operators[next().value];
+            let right = parsePrimary();
+            return function (getField) {
+                return operator(left(getField), right(getField));
+            };
+        }
+
+        return left;
+    }
+
+    function parseNot() {
+        if (isWord(peek(), "not")) {
+            next();
+            let operand = parseNot();
+            return function (getField) {
+                return !operand(getField);
+            };
+        }
+
+        return parseComparison();
+    }
+
+    function parseAnd() {
+        let left = parseNot();
+
+        while (isWord(peek(), "and")) {
+            next();
+            let right = parseNot();
+            left = (function (operand1, operand2) {
+                return function (getField) {
+                    return Boolean(operand1(getField)) && Boolean(operand2(getField));
+                };
+            } (left, right));
+        }
+
+        return left;
+    }
+
+    parseOr = function () {
+        let left = parseAnd();
+
+        while (isWord(peek(), "or")) {
+            next();
+            let right = parseAnd();
+            left = (function (operand1, operand2) {
+                return function (getField) {
+                    return Boolean(operand1(getField)) || Boolean(operand2(getField));
+                };
+            } (left, right));
+        }
+
+        return left;
+    };
+
+    if (peek().type === "end") {
+        throw new Error(_("sort_rule_empty"));
+    }
+
+    let evaluate = parseOr();
+    let reverse = false;
+
+    if (isWord(peek(), "asc") || isWord(peek(), "desc")) {
+        reverse = next().value === "desc";
+    }
+
+    if (peek().type !== "end") {
+        throw new Error(_("sort_rule_unexpected", describeToken(peek())));
+    }
+
+    return {
+        evaluate: evaluate,
+        fields: fields,
+        reverse: reverse,
+    };
+}
+
+/**
+ * Split a sort rule on the semicolons which are not in a string.
+ * @param {string} rule The key expressions separated by semicolons.
+ * @return {Array.<string>} The key expressions.
+ */
+function splitKeys(rule) {
+    let parts = [];
+    let part = "";
+    let quote = null;
+
+    for (let index = 0; index < rule.length; ++index) {
+        let character = rule[index];
+
+        if (quote !== null) {
+            if (character === "\\" && index + 1 < rule.length) {
+                part += character;
+                character = rule[++index];
+            }
+            else if (character === quote) {
+                quote = null;
+            }
+        }
+        else if (character === "\"" || character === "'") {
+            quote = character;
+        }
+        else if (character === ";") {
+            parts.push(part);
+            part = "";
+            continue;
+        }
+
+        part += character;
+    }
+
+    parts.push(part);
+    return parts;
+}
+
+/**
+ * Compile a sort rule, skipping the invalid keys.
+ * @param {string} rule The key expressions separated by semicolons.
+ * @return {{keys: Array.<{evaluate: Function, fields: Array.<string>, reverse: boolean}>, errors: Array.<string>}} The compiled keys and the error messages.
+ */
+function compileSortRule(rule) {
+    let keys = [];
+    let errors = [];
+    let parts = splitKeys(rule || "");
+
+    for (let i = 0; i < parts.length; ++i) {
+        if (!parts[i].trim()) {
+            continue;
+        }
+
+        try {
+            keys.push(parseKey(parts[i]));
+        }
+        catch (exception) {
+            errors.push(_("sort_rule_key_error", i + 1, parts[i].trim(), exception.message));
+        }
+    }
+
+    return {
+        keys: keys,
+        errors: errors,
+    };
+}
+
+exports.compileSortRule = compileSortRule;
+exports.fieldNames = fieldNames;
@@ -0,0 +1,347 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {Class} = require("sdk/core/heritage");
+const {Cc, Ci} = require("chrome");
+const bookmarkService = Cc["@mozilla.org/browser/nav-bookmarks-service;1"].getService(Ci.nsINavBookmarksService);
+const {when} = require("sdk/system/unload");
+const {computeFrecency} = require("lib/frecency");
+
+/**
+ * The annotation types stored as numbers.
+ */
+const numberAnnotationTypes = [1, 2, 3];
+
+/**
+ * The statement fetching the live children of a folder, created when first needed.
+ * @type {mozIStorageStatement}
+ */
+let childrenStatement;
+
+/**
+ * The snapshot used by the lookups in progress, if any.
+ * @type {TreeSnapshot}
+ */
+let currentSnapshot = null;
+
+/**
+ * Snapshot node class, with the same properties as the nodes of a bookmark query result.
+ */
+let SnapshotNode = new Class({
+    RESULT_TYPE_URI: Ci.nsINavHistoryResultNode.RESULT_TYPE_URI,
+    RESULT_TYPE_QUERY: Ci.nsINavHistoryResultNode.RESULT_TYPE_QUERY,
+    RESULT_TYPE_FOLDER: Ci.nsINavHistoryResultNode.RESULT_TYPE_FOLDER,
+    RESULT_TYPE_SEPARATOR: Ci.nsINavHistoryResultNode.RESULT_TYPE_SEPARATOR,
+    RESULT_TYPE_FOLDER_SHORTCUT: Ci.nsINavHistoryResultNode.RESULT_TYPE_FOLDER_SHORTCUT,
+
+    /**
+     * Get a snapshot node from a row of the tree statement.
+     * @param {mozIStorageRow} row The row.
+     * @constructor
+     */
+    initialize: function (row) {
+        this.itemId = row.id;
+        this.parentId = row.parent;
+        this.placeId = row.fk;
+        this.bookmarkIndex = row.position;
+        this.title = row.title || "";
+        this.uri = row.url;
+        this.time = row.last_visit_date || 0;
+        this.accessCount = row.visit_count || 0;
+        this.dateAdded = row.dateAdded;
+        this.lastModified = row.lastModified;
+        this.type = this.getResultType(row.type);
+        this.frecency = 0;
+
+        if (this.type === this.RESULT_TYPE_URI) {
+            // A negative frecency means Places has not computed it yet.
+            this.frecency = row.frecency >= 0 ? row.frecency : computeFrecency(this.time, this.accessCount, Date.now() * 1000);
+        }
+    },
+
+    /**
+     * Get the result node type of a bookmark item type.
+     * A query of a single folder is a folder shortcut, like in the bookmark query results.
+     * @param {int} itemType The bookmark item type.
+     * @return {int} The result node type or undefined for an unknown item type.
+     */
+    getResultType: function (itemType) {
+        switch (itemType) {
+            case bookmarkService.TYPE_BOOKMARK:
+                if (this.uri !== null && this.uri.startsWith("place:")) {
+                    return /^place:folder=[^&]*$/.test(this.uri) ? this.RESULT_TYPE_FOLDER_SHORTCUT : this.RESULT_TYPE_QUERY;
+                }
+
+                return this.RESULT_TYPE_URI;
+            case bookmarkService.TYPE_FOLDER:
+                return this.RESULT_TYPE_FOLDER;
+            case bookmarkService.TYPE_SEPARATOR:
+                return this.RESULT_TYPE_SEPARATOR;
+        }
+    },
+});
+
+/**
+ * Tree snapshot class. Read the whole bookmark tree, with the annotations, keywords and tags, in a few queries.
+ */
+let TreeSnapshot = new Class({
+    /**
+     * Load a snapshot of the bookmark tree.
+     * @constructor
+     */
+    initialize: function () {
+        this.annotations = new Map();
+        this.children = new Map();
+        this.keywords = new Map();
+        this.nodes = new Map();
+        this.tags = new Map();
+
+        // The exclusions and the profiles of the folders read from this snapshot, kept apart from the caches of the live folders.
+        this.exclusions = new Map();
+        this.profiles = new Map();
+
+        let connection = Cc["@mozilla.org/browser/nav-history-service;1"].getService(Ci.nsPIPlacesDatabase).DBConnection;
+
+        this.loadNodes(connection);
+        this.loadAnnotations(connection);
+        this.loadKeywords(connection);
+        this.loadTags();
+    },
+
+    /**
+     * Get an item annotation.
+     * @param {int} itemID The item ID.
+     * @param {string} name The annotation name.
+     * @return {*} The annotation value or undefined if the item does not have it.
+     */
+    getAnnotation: function (itemID, name) {
+        let annotations = this.annotations.get(itemID);
+        if (annotations !== undefined) {
+            return annotations.get(name);
+        }
+    },
+
+    /**
+     * Get the children of a folder.
+     * @param {int} folderID The folder ID.
+     * @return {Array.<SnapshotNode>} The children nodes, by position.
+     */
+    getChildren: function (folderID) {
+        return this.children.get(folderID) || [];
+    },
+
+    /**
+     * Get the keyword of a bookmark.
+     * @param {int} itemID The bookmark ID.
+     * @return {string} The keyword (empty if the bookmark has none).
+     */
+    getKeyword: function (itemID) {
+        let node = this.nodes.get(itemID);
+        if (node !== undefined) {
+            return this.keywords.get(node.placeId) || "";
+        }
+
+        return "";
+    },
+
+    /**
+     * Get the node of an item.
+     * @param {int} itemID The item ID.
+     * @return {SnapshotNode} The node or undefined if the item was not in the tree.
+     */
+    getNode: function (itemID) {
+        return this.nodes.get(itemID);
+    },
+
+    /**
+     * Get the tags of an URL.
+     * @param {string} url The URL.
+     * @return {string} The tags sorted alphabetically and separated by commas (empty if the URL has no tag).
+     */
+    getTags: function (url) {
+        return this.tags.get(url) || "";
+    },
+
+    /**
+     * Check if the children of a folder are still the ones of the snapshot, at the same positions and not modified since.
+     * Changing an item annotation also updates its last modification date.
+     * @param {int} folderID The folder ID.
+     * @return {boolean} Whether the snapshot of the folder children is current.
+     */
+    isCurrent: function (folderID) {
+        if (childrenStatement === undefined) {
+            let connection = Cc["@mozilla.org/browser/nav-history-service;1"].getService(Ci.nsPIPlacesDatabase).DBConnection;
+            childrenStatement = connection.createStatement("SELECT id, lastModified FROM moz_bookmarks WHERE parent = :parent ORDER BY position");
+        }
+
+        let children = this.getChildren(folderID);
+        let index = 0;
+        let current = true;
+
+        try {
+            childrenStatement.params.parent = folderID;
+            while (current && childrenStatement.executeStep()) {
+                let row = childrenStatement.row;
+                let node = children[index++];
+                current = node !== undefined && node.itemId === row.id && node.lastModified === row.lastModified;
+            }
+        }
+        finally {
+            childrenStatement.reset();
+        }
+
+        return current && index === children.length;
+    },
+
+    /**
+     * Load the item annotations.
+     * @param {mozIStorageConnection} connection The Places database connection.
+     */
+    loadAnnotations: function (connection) {
+        let statement = connection.createStatement(
+            "SELECT a.item_id, n.name, a.content, a.type " +
+            "FROM moz_items_annos a " +
+            "JOIN moz_anno_attributes n ON n.id = a.anno_attribute_id"
+        );
+
+        try {
+            while (statement.executeStep()) {
+                let row = statement.row;
+                if (!this.annotations.has(row.item_id)) {
+                    this.annotations.set(row.item_id, new Map());
+                }
+
+                let content = numberAnnotationTypes.indexOf(row.type) !== -1 ? Number(row.content) : row.content;
+                this.annotations.get(row.item_id).set(row.name, content);
+            }
+        }
+        finally {
+            statement.finalize();
+        }
+    },
+
+    /**
+     * Load the keywords, by place.
+     * @param {mozIStorageConnection} connection The Places database connection.
+     */
+    loadKeywords: function (connection) {
+        let statement = connection.createStatement("SELECT place_id, keyword FROM moz_keywords ORDER BY id");
+
+        try {
+            while (statement.executeStep()) {
+                let row = statement.row;
+                if (!this.keywords.has(row.place_id)) {
+                    this.keywords.set(row.place_id, row.keyword);
+                }
+            }
+        }
+        finally {
+            statement.finalize();
+        }
+    },
+
+    /**
+     * Load the bookmark items with the history of their pages.
+     * @param {mozIStorageConnection} connection The Places database connection.
+     */
+    loadNodes: function (connection) {
+        let statement = connection.createStatement(
+            "SELECT b.id, b.type, b.fk, b.parent, b.position, b.title, b.dateAdded, b.lastModified, " +
+            "p.url, p.visit_count, p.last_visit_date, p.frecency " +
+            "FROM moz_bookmarks b " +
+            "LEFT JOIN moz_places p ON p.id = b.fk " +
+            "ORDER BY b.parent, b.position"
+        );
+
+        try {
+            while (statement.executeStep()) {
+                let node = new SnapshotNode(statement.row);
+                this.nodes.set(node.itemId, node);
+
+                if (!this.children.has(node.parentId)) {
+                    this.children.set(node.parentId, []);
+                }
+
+                this.children.get(node.parentId).push(node);
+            }
+        }
+        finally {
+            statement.finalize();
+        }
+    },
+
+    /**
+     * Load the tags, by URL, from the children of the tag folders.
+     */
+    loadTags: function () {
+        let tagsByPlace = new Map();
+        let urls = new Map();
+
+        for (let tagFolder of this.getChildren(bookmarkService.tagsFolder)) {
+            for (let node of this.getChildren(tagFolder.itemId)) {
+                if (!tagsByPlace.has(node.placeId)) {
+                    tagsByPlace.set(node.placeId, []);
+                }
+
+                tagsByPlace.get(node.placeId).push(tagFolder.title);
+                urls.set(node.placeId, node.uri);
+            }
+        }
+
+        for (let placeID of tagsByPlace.keys()) {
+            this.tags.set(urls.get(placeID), tagsByPlace.get(placeID).sort().join(", "));
+        }
+    },
+});
+
+/**
+ * Get the snapshot used by the lookups in progress.
+ * @return {TreeSnapshot} The snapshot or null if the lookups query the bookmarks service.
+ */
+function getCurrentSnapshot() {
+    return currentSnapshot;
+}
+
+/**
+ * Run `callback` with the item lookups reading `snapshot` instead of querying the bookmarks service.
+ * @param {TreeSnapshot} snapshot The snapshot (null to query the bookmarks service).
+ * @param {Function} callback The function doing the lookups.
+ * @return {*} The value returned by `callback`.
+ */
+function runWithSnapshot(snapshot, callback) {
+    let previousSnapshot = currentSnapshot;
+    currentSnapshot = snapshot || null;
+
+    try {
+        return callback();
+    }
+    finally {
+        currentSnapshot = previousSnapshot;
+    }
+}
+
+exports.getCurrentSnapshot = getCurrentSnapshot;
+exports.runWithSnapshot = runWithSnapshot;
+exports.TreeSnapshot = TreeSnapshot;
+
+when(function () {
+    if (childrenStatement !== undefined) {
+        childrenStatement.finalize();
+    }
+});
@@ -0,0 +1,193 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {Header, Separator} = require("lib/bookmarks");
+const {Cc, Ci} = require("chrome");
+const bookmarkService = Cc["@mozilla.org/browser/nav-bookmarks-service;1"].getService(Ci.nsINavBookmarksService);
+
+/**
+ * Record the positions of the children of a sorted folder before it is saved.
+ * @param {Folder} folder The folder, sorted but not saved yet.
+ * @return {object} The folder record, to give to restorePositions().
+ */
+function recordPositions(folder) {
+    let items = folder.userSeparators.concat(folder.managedSeparators);
+    for (let children of folder.children) {
+        items = items.concat(children);
+    }
+
+    return {
+        folderID: folder.id,
+        items: items.map(function (item) {
+            return {
+                itemID: item.id,
+                index: item.oldIndex,
+            };
+        }),
+        headers: folder.managedHeaders.map(function (header) {
+            return {
+                itemID: header.id,
+                index: header.oldIndex,
+                title: header.oldTitle,
+            };
+        }),
+        removedSeparators: folder.unusedSeparators.map(function (separator) {
+            return separator.oldIndex;
+        }),
+        removedHeaders: folder.unusedHeaders.map(function (header) {
+            return {
+                index: header.oldIndex,
+                title: header.oldTitle,
+            };
+        }),
+        // The separators and headers are created when saving, so their identifiers are read when undoing.
+        created: folder.separators.concat(folder.headers).filter(function (item) {
+            return item.id === undefined;
+        }),
+    };
+}
+
+/**
+ * Check if an item still exists in a folder.
+ * @param {int} itemID The item identifier.
+ * @param {int} folderID The folder identifier.
+ * @return {boolean} Whether the item was neither deleted nor moved to another folder.
+ */
+function isInFolder(itemID, folderID) {
+    try {
+        return bookmarkService.getFolderIdForItem(itemID) === folderID;
+    }
+    catch (exception) {
+        return false;
+    }
+}
+
+/**
+ * Move an item to `index`, shifting the other items of the folder.
+ * @param {int} itemID The item identifier.
+ * @param {int} folderID The folder identifier.
+ * @param {int} index The index.
+ */
+function moveTo(itemID, folderID, index) {
+    let oldIndex = bookmarkService.getItemIndex(itemID);
+    if (oldIndex !== index) {
+        // Like in Folder.getMoves(), an item moved down is inserted before the item following its new position.
+        bookmarkService.moveItem(itemID, folderID, oldIndex < index ? index + 1 : index);
+    }
+}
+
+/**
+ * Give back its title to a header and move it to `index`.
+ * @param {int} itemID The header identifier.
+ * @param {int} folderID The folder identifier.
+ * @param {string} title The title.
+ * @param {int} index The index.
+ */
+function restoreHeader(itemID, folderID, title, index) {
+    if (bookmarkService.getItemTitle(itemID) !== title) {
+        bookmarkService.setItemTitle(itemID, title);
+    }
+
+    moveTo(itemID, folderID, index);
+}
+
+/**
+ * Create a managed separator.
+ * @param {int} folderID The folder identifier.
+ * @param {int} index The index.
+ */
+function insertSeparator(folderID, index) {
+    new Separator(undefined, index, folderID).saveIndex();
+}
+
+/**
+ * Create a section header.
+ * @param {int} folderID The folder identifier.
+ * @param {string} title The title.
+ * @param {int} index The index.
+ */
+function insertHeader(folderID, title, index) {
+    new Header(undefined, index, folderID, title).saveIndex();
+}
+
+/**
+ * Put the children of a folder back in the order recorded before a sort.
+ * The items deleted or moved to another folder since the sort are skipped, and the items added since the sort end up after
+ * the restored items.
+ * @param {object} record The folder record returned by recordPositions().
+ * @return {int} The number of items restored.
+ */
+function restorePositions(record) {
+    let folderID = record.folderID;
+
+    for (let item of record.created) {
+        if (item.id !== undefined && isInFolder(item.id, folderID)) {
+            item.remove();
+        }
+    }
+
+    let restorations = [];
+
+    for (let item of record.items) {
+        if (isInFolder(item.itemID, folderID)) {
+            restorations.push({
+                index: item.index,
+                restore: moveTo.bind(null, item.itemID, folderID),
+            });
+        }
+    }
+
+    for (let header of record.headers) {
+        if (isInFolder(header.itemID, folderID)) {
+            restorations.push({
+                index: header.index,
+                restore: restoreHeader.bind(null, header.itemID, folderID, header.title),
+            });
+        }
+    }
+
+    for (let index of record.removedSeparators) {
+        restorations.push({
+            index: index,
+            restore: insertSeparator.bind(null, folderID),
+        });
+    }
+
+    for (let header of record.removedHeaders) {
+        restorations.push({
+            index: header.index,
+            restore: insertHeader.bind(null, folderID, header.title),
+        });
+    }
+
+    restorations.sort(function (restoration1, restoration2) {
+        return restoration1.index - restoration2.index;
+    });
+
+    // The items are put one after the other in their recorded order, so that the positions of the deleted items are not left
+    // empty. The items before the current index are already restored, so each item only moves up.
+    for (let i = 0; i < restorations.length; ++i) {
+        restorations[i].restore(i);
+    }
+
+    return restorations.length;
+}
+
+exports.recordPositions = recordPositions;
+exports.restorePositions = restorePositions;
@@ -17,9 +17,21 @@
 
 "use strict";
 
-const {getDescription, isLivemark, isSmartBookmark} = require("lib/annotations");
+const {getAnchorAnnotation, getDescription, getPinAnnotation, getProfileAnnotation, isLivemark, isSmartBookmark, removeAnchorAnnotation, removePinAnnotation, removeProfileAnnotation, setAnchorAnnotation, setPinAnnotation, setProfileAnnotation} = require("lib/annotations");
 const {Bookmark, menuFolder} = require("lib/bookmarks");
-const {createBookmark, createFolder, createLivemark, createSeparator, createSmartBookmark, setDescription} = require("./utils");
+const {createBookmark, createFolder, createLivemark, createSeparator, createSmartBookmark, move, setDescription} = require("./utils");
+
+exports.testAnchor = function (assert) {
+    let item = createBookmark("Test title", "http://test.url/", menuFolder);
+    assert.strictEqual(getAnchorAnnotation(item.id), undefined);
+
+    setAnchorAnnotation(item.id, 3);
+    assert.strictEqual(getAnchorAnnotation(item.id), 3);
+    assert.strictEqual(new Bookmark(item.id).anchor, 3);
+
+    removeAnchorAnnotation(item.id);
+    assert.strictEqual(getAnchorAnnotation(item.id), undefined);
+};
 
 exports.testDescription = function (assert) {
     assert.strictEqual(getDescription(undefined), "");
@@ -51,6 +63,49 @@ exports.testLivemark = function (assert) {
     assert.strictEqual(isLivemark(item.id), false);
 };
 
+exports.testPin = function (assert) {
+    let item = createBookmark("Test title", "http://test.url/", menuFolder);
+    assert.strictEqual(getPinAnnotation(item.id), undefined);
+
+    setPinAnnotation(item.id, {position: "top", rank: 2});
+    assert.deepEqual(getPinAnnotation(item.id), {position: "top", rank: 2});
+    assert.deepEqual(new Bookmark(item.id).pin, {position: "top", rank: 2});
+
+    removePinAnnotation(item.id);
+    assert.strictEqual(getPinAnnotation(item.id), undefined);
+};
+
+exports.testProfile = function (assert) {
+    let folder = createFolder("Test Folder", menuFolder);
+    assert.strictEqual(getProfileAnnotation(folder.id), undefined);
+
+    let profile = {
+        criterias: "accessCount desc, title",
+        order: {
+            folder: 4,
+            livemark: 3,
+            smartBookmark: 2,
+            bookmark: 1,
+        },
+    };
+    setProfileAnnotation(folder.id, profile);
+    assert.deepEqual(getProfileAnnotation(folder.id), profile);
+
+    let subFolder = createFolder("Test Sub-Folder", folder);
+    assert.strictEqual(getProfileAnnotation(subFolder.id), undefined);
+    assert.deepEqual(subFolder.getProfile(), profile);
+
+    removeProfileAnnotation(folder.id);
+    assert.strictEqual(getProfileAnnotation(folder.id), undefined);
+    assert.strictEqual(subFolder.getProfile(), undefined);
+
+    // The profile of the new parent is used after a move.
+    let otherFolder = createFolder("Other Folder", menuFolder);
+    setProfileAnnotation(otherFolder.id, profile);
+    move(subFolder, 0, otherFolder);
+    assert.deepEqual(subFolder.getProfile(), profile);
+};
+
 exports.testSmartBookmark = function (assert) {
     let item = createBookmark("Test title", "http://test.url/", menuFolder);
     assert.strictEqual(isSmartBookmark(item.id), false);
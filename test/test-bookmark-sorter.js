@@ -20,9 +20,213 @@
 const simplePrefs = require("sdk/simple-prefs");
 const prefs = simplePrefs.prefs;
 const {MENU, TOOLBAR, UNSORTED} = require("sdk/places/bookmarks");
-const {menuFolder, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
-const {BookmarkSorter} = require("lib/bookmark-sorter");
-const {assertBookmarksArray, createBookmark, createFolder, createLivemark, createSeparator, createSmartBookmark, deleteAllBookmarks, ignore, range, resetPreferences, setDateAdded, setDescription, setKeyword, setLastModified, setVisits, sort} = require("./utils");
+const {Bookmark, BookmarkManager, getLongestIncreasingSubsequence, getSortOrder, Header, menuFolder, QueryBookmark, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
+const {BookmarkSorter, comparePins, getDateSection, getTitleSection} = require("lib/bookmark-sorter");
+const {setAnchorAnnotation, setPinAnnotation, setProfileAnnotation} = require("lib/annotations");
+const {compileSortRule} = require("lib/sort-rule");
+const {runWithSnapshot, TreeSnapshot} = require("lib/tree-snapshot");
+const {assertBookmarksArray, createBookmark, createFolder, createLivemark, createSeparator, createSmartBookmark, deleteAllBookmarks, deleteItem, ignore, move, range, resetPreferences, setDateAdded, setDescription, setKeyword, setLastModified, setVisits, sort} = require("./utils");
+
+/**
+ * Get the properties of the `items` read from the bookmarks, to compare them.
+ */
+function getItemProperties(items) {
+    return items.map(function (item) {
+        return [item.id, item.type, item.index, item.title, item.url, item.description, item.keyword, item.anchor, item.dateAdded, item.lastModified, item.lastVisited, item.accessCount, item.childCount, item.descendantCount];
+    });
+}
+
+exports.testAnchor = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("E", "http://e.url/", folder);
+    let bookmark2 = createBookmark("D", "http://d.url/", folder);
+    let anchored1 = createBookmark("Z", "http://z.url/", folder);
+    let bookmark3 = createBookmark("C", "http://c.url/", folder);
+    createSeparator(folder);
+    let bookmark4 = createBookmark("B", "http://b.url/", folder);
+    let bookmark5 = createBookmark("A", "http://a.url/", folder);
+    let anchored2 = createBookmark("Y", "http://y.url/", folder);
+
+    setAnchorAnnotation(anchored1.id, 1);
+    setAnchorAnnotation(anchored2.id, 20);
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    let children = folder.getChildren();
+    assertBookmarksArray(assert, children[0], [bookmark3, anchored1, bookmark2, bookmark1]);
+    assertBookmarksArray(assert, children[1], [bookmark5, bookmark4, anchored2]);
+    assert.strictEqual(children.length, 2);
+
+    // The anchored item stays at its index when it falls on the user separator.
+    setAnchorAnnotation(anchored1.id, 3);
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    children = folder.getChildren();
+    assertBookmarksArray(assert, children[0], [bookmark3, bookmark2, bookmark1, anchored1]);
+    assertBookmarksArray(assert, children[1], [bookmark5, bookmark4, anchored2]);
+};
+
+exports.testDateSections = function (assert) {
+    // Wednesday, June 17, 2015 at noon.
+    let now = new Date(2015, 5, 17, 12).getTime() * 1000;
+    let date = function (year, month, day) {
+        return new Date(year, month, day, 8).getTime() * 1000;
+    };
+
+    assert.strictEqual(getDateSection(0, now), "never");
+    assert.strictEqual(getDateSection(date(2015, 5, 17), now), "today");
+    assert.strictEqual(getDateSection(date(2015, 5, 15), now), "week");
+    assert.strictEqual(getDateSection(date(2015, 5, 14), now), "month");
+    assert.strictEqual(getDateSection(date(2015, 4, 31), now), "2015");
+    assert.strictEqual(getDateSection(date(2013, 11, 31), now), "2013");
+
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], false, 0, "headers");
+    assert.ok(!bookmarkSorter.usesDateSections());
+
+    bookmarkSorter.setCriteria([{criteria: "dateAdded", reverse: true}], {}, getSortOrder(), undefined, [], [], false, 0, "headers");
+    assert.ok(bookmarkSorter.usesDateSections());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("A", "http://a.url/", folder);
+    let bookmark2 = createBookmark("B", "http://b.url/", folder);
+    let bookmark3 = createBookmark("C", "http://c.url/", folder);
+
+    setDateAdded(bookmark1, new Date(2013, 0, 1).getTime() * 1000);
+    setDateAdded(bookmark2, Date.now() * 1000);
+    setDateAdded(bookmark3, new Date(2012, 0, 1).getTime() * 1000);
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assertBookmarksArray(assert, folder.children[0], [bookmark2, bookmark1, bookmark3]);
+    assert.deepEqual(folder.managedHeaders.map(function (header) {
+        return header.title;
+    }), ["— Today —", "— 2013 —", "— 2012 —"]);
+
+    bookmarkSorter.setCriteria([{criteria: "dateAdded", reverse: true}], {}, getSortOrder(), undefined, [], [], false, 0, "separators");
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assert.strictEqual(folder.managedHeaders.length, 0);
+    assert.strictEqual(folder.managedSeparators.length, 2);
+    assertBookmarksArray(assert, folder.children[0], [bookmark2, bookmark1, bookmark3]);
+
+    // Only the folders are sorted by date, so the bookmarks sorted by title are not grouped by date.
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "dateAdded", reverse: true}}, getSortOrder(), undefined, [], [], false, 0, "headers");
+
+    let folder2 = createFolder("Folder 2", menuFolder);
+    let bookmark4 = createBookmark("B", "http://b.url/", folder2);
+    let subFolder1 = createFolder("Sub Folder 1", folder2);
+    let bookmark5 = createBookmark("A", "http://a.url/", folder2);
+    let subFolder2 = createFolder("Sub Folder 2", folder2);
+
+    setDateAdded(bookmark4, new Date(2012, 0, 1).getTime() * 1000);
+    setDateAdded(subFolder1, new Date(2013, 0, 1).getTime() * 1000);
+    setDateAdded(subFolder2, Date.now() * 1000);
+
+    bookmarkSorter.sortFolder(folder2);
+    folder2.save();
+
+    folder2.getChildren();
+    assertBookmarksArray(assert, folder2.children[0], [subFolder2, subFolder1, bookmark5, bookmark4]);
+    assert.deepEqual(folder2.managedHeaders.map(function (header) {
+        return header.title;
+    }), ["— Today —", "— 2013 —"]);
+};
+
+exports.testExclusions = function (assert) {
+    let folder1 = createFolder("Folder 1", menuFolder);
+    let folder2 = createFolder("Folder 2", menuFolder);
+    let subFolder = createFolder("Sub-folder", folder1);
+    let subSubFolder = createFolder("Sub-sub-folder", subFolder);
+
+    assert.ok(subSubFolder.canBeSorted());
+
+    // The exclusions are read again after an exclusion change.
+    ignore(folder1);
+    assert.ok(!subFolder.canBeSorted());
+    assert.ok(!subSubFolder.canBeSorted());
+
+    // And after a folder is moved out of an excluded folder.
+    move(subFolder, 0, folder2);
+    assert.ok(subFolder.canBeSorted());
+    assert.ok(subSubFolder.canBeSorted());
+
+    move(subFolder, 0, folder1);
+    assert.ok(!subSubFolder.canBeSorted());
+
+    sort(folder1);
+    assert.ok(subSubFolder.canBeSorted());
+
+    // The exclusions read from a snapshot taken before a change are not kept for the live folders.
+    let snapshot = new TreeSnapshot();
+    ignore(folder1);
+    assert.ok(runWithSnapshot(snapshot, function () {
+        return subSubFolder.canBeSorted();
+    }));
+    assert.ok(!subSubFolder.canBeSorted());
+};
+
+exports.testFolderCounts = function (assert) {
+    let folder = createFolder("Folder", menuFolder);
+    let subFolder = createFolder("Sub Folder", folder);
+    let emptyFolder = createFolder("Empty Folder", folder);
+    createBookmark("Title", "http://example.url/", folder);
+    createSeparator(folder);
+    createSmartBookmark("Test Smart Bookmark", "MostVisited", "place:sort=8&maxResults=10", folder);
+    createBookmark("Test", "http://test.url/", subFolder);
+    createBookmark("Abc", "http://abc.url/", subFolder);
+
+    let folders = folder.getFolders();
+    assertBookmarksArray(assert, folders, [subFolder, emptyFolder]);
+    assert.strictEqual(folder.childCount, 4);
+    assert.strictEqual(folder.descendantCount, 3);
+    assert.strictEqual(folders[0].childCount, 2);
+    assert.strictEqual(folders[0].descendantCount, 2);
+    assert.strictEqual(folders[1].childCount, 0);
+    assert.strictEqual(folders[1].descendantCount, 0);
+
+    let children = folder.getChildren()[0];
+    let child = children.filter(function (item) {
+        return item.id === subFolder.id;
+    })[0];
+    assert.strictEqual(child.childCount, 2);
+    assert.strictEqual(child.descendantCount, 2);
+};
+
+exports.testFolderLastActivity = function (assert, done) {
+    let now = Date.now();
+    let folder = createFolder("Folder", menuFolder);
+    let subFolder = createFolder("Sub Folder", folder);
+    let emptyFolder = createFolder("Empty Folder", folder);
+    let bookmark = createBookmark("Title", "http://example.url/", folder);
+    let subBookmark = createBookmark("Test", "http://test.url/", subFolder);
+
+    setDateAdded(bookmark, (now - 3000) * 1000);
+    setDateAdded(subBookmark, (now - 2000) * 1000);
+
+    let folders = folder.getFolders();
+    assertBookmarksArray(assert, folders, [subFolder, emptyFolder]);
+    assert.strictEqual(folder.lastActivity, (now - 2000) * 1000);
+    assert.strictEqual(folders[0].lastActivity, (now - 2000) * 1000);
+    assert.strictEqual(folders[1].lastActivity, 0);
+
+    setVisits(bookmark, now - 1000).then(function () {
+        folders = folder.getFolders();
+        assert.strictEqual(folder.lastActivity, (now - 1000) * 1000);
+        assert.strictEqual(folders[0].lastActivity, (now - 2000) * 1000);
+        done();
+    });
+};
 
 exports.testGetAllFolders = function (assert) {
     // deleteAllBookmarks();
@@ -148,11 +352,215 @@ function createSampleBookmarks() {
     };
 }
 
+exports.testGroupByDomainSeparators = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], true);
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B1", "http://b.url/1", folder);
+    let bookmark2 = createBookmark("A2", "http://a.url/2", folder);
+    let bookmark3 = createBookmark("A1", "http://a.url/1", folder);
+
+    // A separator is created between the domains.
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assertBookmarksArray(assert, folder.children[0], [bookmark3, bookmark2, bookmark1]);
+    assert.strictEqual(folder.children.length, 1);
+    assert.strictEqual(folder.managedSeparators.length, 1);
+    assert.strictEqual(folder.managedSeparators[0].index, 2);
+    assert.strictEqual(folder.children[0][2].index, 3);
+    let separatorID = folder.managedSeparators[0].id;
+
+    // The separator is reused when a domain appears.
+    let bookmark4 = createBookmark("C1", "http://c.url/1", folder, 0);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assertBookmarksArray(assert, folder.children[0], [bookmark3, bookmark2, bookmark1, bookmark4]);
+    assert.deepEqual(folder.managedSeparators.map(function (separator) {
+        return separator.index;
+    }), [2, 4]);
+    assert.strictEqual(folder.managedSeparators[0].id, separatorID);
+
+    // Sorting again does not change anything.
+    bookmarkSorter.sortFolder(folder);
+    assert.strictEqual(folder.hasMove(), false);
+
+    // The separators are removed when the domains disappear.
+    deleteItem(bookmark1);
+    deleteItem(bookmark4);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assertBookmarksArray(assert, folder.children[0], [bookmark3, bookmark2]);
+    assert.strictEqual(folder.managedSeparators.length, 0);
+};
+
+exports.testHeaders = function (assert) {
+    assert.strictEqual(getTitleSection("apple"), "A");
+    assert.strictEqual(getTitleSection("Éclair"), "E");
+    assert.strictEqual(getTitleSection("42 things"), "#");
+    assert.strictEqual(getTitleSection(""), "#");
+
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], false, 3);
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("Banana", "http://banana.url/", folder);
+    let bookmark2 = createBookmark("apple", "http://apple.url/", folder);
+    let bookmark3 = createBookmark("Avocado", "http://avocado.url/", folder);
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    let children = folder.getChildren()[0];
+    assertBookmarksArray(assert, children, [bookmark2, bookmark3, bookmark1]);
+    assert.strictEqual(folder.managedHeaders.length, 2);
+    assert.ok(folder.managedHeaders[0] instanceof Header);
+    assert.strictEqual(folder.managedHeaders[0].title, "— A —");
+    assert.strictEqual(folder.managedHeaders[0].index, 0);
+    assert.strictEqual(folder.managedHeaders[1].title, "— B —");
+    assert.strictEqual(folder.managedHeaders[1].index, 3);
+
+    // Sorting again does not change anything.
+    bookmarkSorter.sortFolder(folder);
+    assert.strictEqual(folder.hasMove(), false);
+
+    // The headers are renamed when the sections change.
+    let bookmark4 = createBookmark("Cherry", "http://cherry.url/", folder);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assert.deepEqual(folder.managedHeaders.map(function (header) {
+        return header.title;
+    }), ["— A —", "— B —", "— C —"]);
+    assertBookmarksArray(assert, folder.children[0], [bookmark2, bookmark3, bookmark1, bookmark4]);
+
+    // The headers are removed when the folder is smaller than the minimum.
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], false, 5);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assert.strictEqual(folder.managedHeaders.length, 0);
+    assertBookmarksArray(assert, folder.children[0], [bookmark2, bookmark3, bookmark1, bookmark4]);
+
+    // The headers are only added when sorting by title.
+    bookmarkSorter.setCriteria([{criteria: "url", reverse: true}], {}, getSortOrder(), undefined, [], [], false, 3);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assert.strictEqual(folder.managedHeaders.length, 0);
+    assertBookmarksArray(assert, folder.children[0], [bookmark4, bookmark1, bookmark3, bookmark2]);
+
+    // The folders sorted apart by date are not labelled, and the sections of the bookmarks start after them.
+    let now = Date.now() * 1000;
+    let subFolder1 = createFolder("Cranberry", folder);
+    let subFolder2 = createFolder("Apricot", folder);
+    setDateAdded(subFolder1, now - 2000);
+    setDateAdded(subFolder2, now - 1000);
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "dateAdded", reverse: false}}, getSortOrder(), undefined, [], [], false, 3);
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+
+    folder.getChildren();
+    assertBookmarksArray(assert, folder.children[0], [subFolder1, subFolder2, bookmark2, bookmark3, bookmark1, bookmark4]);
+    assert.deepEqual(folder.managedHeaders.map(function (header) {
+        return header.title;
+    }), ["— A —", "— B —", "— C —"]);
+    assert.strictEqual(folder.managedHeaders[0].index, 2);
+};
+
+exports.testIgnoreSelfChanges = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+
+    let changes = [];
+    let bookmarkManager = new BookmarkManager({});
+    let onChanged = function (folderIDs) {
+        changes.push(folderIDs);
+    };
+    bookmarkManager.on("changed", onChanged);
+
+    // The moves of the sort are not reported.
+    bookmarkSorter.sortAndSave(folder);
+    assertBookmarksArray(assert, folder.getChildren()[0], [bookmark2, bookmark1]);
+    assert.deepEqual(changes, []);
+
+    // The other moves are reported with their folder.
+    move(bookmark1, 0);
+    assert.deepEqual(changes, [[folder.id]]);
+
+    bookmarkManager.removeListener("changed", onChanged);
+};
+
+exports.testLongestIncreasingSubsequence = function (assert) {
+    assert.deepEqual(getLongestIncreasingSubsequence([]), []);
+    assert.deepEqual(getLongestIncreasingSubsequence([0, 1, 2]), [0, 1, 2]);
+    assert.deepEqual(getLongestIncreasingSubsequence([2, 1, 0]), [2]);
+    assert.deepEqual(getLongestIncreasingSubsequence([3, 1, 2, 5, 4, 6]), [1, 2, 4, 5]);
+};
+
+exports.testMinimalMoves = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("A", "http://a.url/", folder);
+    let bookmark2 = createBookmark("B", "http://b.url/", folder);
+    let bookmark3 = createBookmark("C", "http://c.url/", folder);
+    createSeparator(folder);
+    let bookmark4 = createBookmark("D", "http://d.url/", folder);
+    let bookmark5 = createBookmark("E", "http://e.url/", folder);
+    let bookmark6 = createBookmark("F", "http://f.url/", folder);
+
+    bookmarkSorter.sortAndSave(folder);
+    assert.strictEqual(bookmarkSorter.moveCount, 0);
+
+    // Only the bookmarks out of place are moved.
+    move(bookmark1, 2);
+    move(bookmark6, 4);
+    bookmarkSorter.sortAndSave(folder);
+    assert.strictEqual(bookmarkSorter.moveCount, 2);
+
+    let children = folder.getChildren();
+    assertBookmarksArray(assert, children[0], [bookmark1, bookmark2, bookmark3]);
+    assertBookmarksArray(assert, children[1], [bookmark4, bookmark5, bookmark6]);
+
+    // The other items are shifted, so that each item has its own position.
+    assert.deepEqual(children[0].concat(children[1]).map(function (item) {
+        return item.index;
+    }), [0, 1, 2, 4, 5, 6]);
+
+    // Only the bookmark out of place is moved again.
+    move(bookmark3, 0);
+    bookmarkSorter.moveCount = 0;
+    bookmarkSorter.sortAndSave(folder);
+    assert.strictEqual(bookmarkSorter.moveCount, 1);
+
+    // The item moved down goes after the items it passes.
+    children = folder.getChildren();
+    assertBookmarksArray(assert, children[0], [bookmark1, bookmark2, bookmark3]);
+    assert.deepEqual(children[0].concat(children[1]).map(function (item) {
+        return item.index;
+    }), [0, 1, 2, 4, 5, 6]);
+};
+
 exports.testNotSortedFolders = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let bookmarks = createSampleBookmarks();
 
@@ -333,6 +741,30 @@ exports.testNotSortedFolders = function (assert) {
     // resetPreferences();
 };
 
+exports.testProfile = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, {folder: 1, livemark: 2, smartBookmark: 3, query: 4, bookmark: 4});
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder);
+    let subFolder = createFolder("C", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+
+    // The profile only overrides the folder order.
+    setProfileAnnotation(folder.id, {order: {folder: 5}});
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+    assertBookmarksArray(assert, folder.getChildren()[0], [bookmark2, bookmark1, subFolder]);
+
+    // The global order of the bookmarks still applies to the folder.
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, {folder: 1, livemark: 2, smartBookmark: 3, query: 4, bookmark: 6});
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+    assertBookmarksArray(assert, folder.getChildren()[0], [subFolder, bookmark2, bookmark1]);
+};
+
 exports.testSeparator = function (assert) {
     // deleteAllBookmarks();
     // sort(MENU);
@@ -340,7 +772,7 @@ exports.testSeparator = function (assert) {
     // sort(UNSORTED);
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -427,11 +859,197 @@ exports.testSeparator = function (assert) {
     // resetPreferences();
 };
 
+exports.testPlan = function (assert) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("C", "http://c.url/", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+    let bookmark3 = createBookmark("B", "http://b.url/", folder);
+
+    assert.deepEqual(bookmarkSorter.plan(folder), [{
+        itemID: bookmark1.id,
+        title: "C",
+        oldTitle: "C",
+        folderID: folder.id,
+        oldIndex: 0,
+        newIndex: 2,
+    }]);
+
+    // The bookmarks are not moved.
+    assertBookmarksArray(assert, folder.getChildren()[0], [bookmark1, bookmark2, bookmark3]);
+
+    bookmarkSorter.sortAndSave(folder);
+    assert.deepEqual(bookmarkSorter.plan([folder]), []);
+
+    // The header renames and removals are listed too.
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], false, 1);
+    deleteItem(bookmark1);
+    deleteItem(bookmark3);
+    bookmarkSorter.sortAndSave(folder);
+
+    folder.getChildren();
+    let header = folder.managedHeaders[0];
+    assert.strictEqual(header.title, "— A —");
+
+    deleteItem(bookmark2);
+    let bookmark4 = createBookmark("D", "http://d.url/", folder);
+    assert.deepEqual(bookmarkSorter.plan(folder), [{
+        itemID: header.id,
+        title: "— D —",
+        oldTitle: "— A —",
+        folderID: folder.id,
+        oldIndex: 0,
+        newIndex: 0,
+    }]);
+
+    bookmarkSorter.sortAndSave(folder);
+    deleteItem(bookmark4);
+    assert.deepEqual(bookmarkSorter.plan(folder), [{
+        itemID: header.id,
+        title: "— D —",
+        oldTitle: "— D —",
+        folderID: folder.id,
+        oldIndex: 0,
+        newIndex: null,
+    }]);
+};
+
+exports.testPin = function (assert) {
+    let top1 = {pin: {position: "top", rank: 1}};
+    let top2 = {pin: {position: "top", rank: 2}};
+    let bottom = {pin: {position: "bottom", rank: 0}};
+    let item = {};
+
+    assert.ok(comparePins(top1, item) < 0);
+    assert.ok(comparePins(item, bottom) < 0);
+    assert.ok(comparePins(top2, bottom) < 0);
+    assert.ok(comparePins(top1, top2) < 0);
+    assert.ok(comparePins(top2, top1) > 0);
+    assert.strictEqual(comparePins(item, {}), 0);
+    assert.strictEqual(comparePins(top1, {pin: {position: "top", rank: 1}}), 0);
+
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("A", "http://a.url/", folder);
+    let bookmark2 = createBookmark("Daily standup", "http://standup.url/", folder);
+    let subFolder = createFolder("Inbox", folder);
+    let bookmark3 = createBookmark("Archive", "http://archive.url/", folder);
+    let bookmark4 = createBookmark("B", "http://b.url/", folder);
+
+    setPinAnnotation(subFolder.id, {position: "top", rank: 0});
+    setPinAnnotation(bookmark2.id, {position: "top", rank: 1});
+    setPinAnnotation(bookmark3.id, {position: "bottom", rank: 0});
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+    assertBookmarksArray(assert, folder.getChildren()[0], [subFolder, bookmark2, bookmark1, bookmark4, bookmark3]);
+};
+
+exports.testQueryBookmark = function (assert) {
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark = createBookmark("Title", "http://example.url/", folder);
+    let query = createBookmark("Query", "place:sort=8&maxResults=10", folder);
+
+    let children = folder.getChildren()[0];
+    assert.ok(children[0] instanceof Bookmark);
+    assert.ok(children[1] instanceof QueryBookmark);
+    assert.strictEqual(children[0].id, bookmark.id);
+    assert.strictEqual(children[1].id, query.id);
+    assert.strictEqual(children[1].type, "query");
+};
+
+exports.testUndoLastSort = function (assert, done) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder(), undefined, [], [], true);
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("D", "http://b.url/d", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+    let bookmark3 = createBookmark("C", "http://b.url/c", folder);
+    let bookmark4 = createBookmark("B", "http://a.url/b", folder);
+
+    assert.ok(!bookmarkSorter.canUndo());
+
+    bookmarkSorter.once("sorted", function () {
+        let children = folder.getChildren();
+        assertBookmarksArray(assert, children[0], [bookmark2, bookmark4, bookmark3, bookmark1]);
+        assert.strictEqual(folder.managedSeparators.length, 1);
+        assert.ok(bookmarkSorter.canUndo());
+
+        // The sort of the changed folders cannot be undone and does not replace the last sort of all bookmarks.
+        let folder2 = createFolder("Folder 2", menuFolder);
+        let bookmark5 = createBookmark("F", "http://f.url/", folder2);
+        let bookmark6 = createBookmark("E", "http://e.url/", folder2);
+        bookmarkSorter.setChanged([folder2.id]);
+
+        bookmarkSorter.once("sorted", function () {
+            assertBookmarksArray(assert, folder2.getChildren()[0], [bookmark6, bookmark5]);
+            assert.ok(bookmarkSorter.canUndo());
+
+            // The deleted bookmarks are skipped, the added bookmarks are put after the restored items and the managed
+            // separator is removed.
+            let bookmark7 = createBookmark("E", "http://a.url/e", folder);
+            move(bookmark7, 0);
+            deleteItem(bookmark3);
+
+            // The scheduled sort and the sort in progress are cancelled.
+            bookmarkSorter.setChanged([folder.id]);
+            bookmarkSorter.sortAllBookmarks();
+            bookmarkSorter.undoLastSort();
+            assert.strictEqual(bookmarkSorter.timer, null);
+            assert.strictEqual(bookmarkSorter.dirtyFolders.size, 0);
+            assert.strictEqual(bookmarkSorter.folderTimers.size, 0);
+
+            children = folder.getChildren();
+            assertBookmarksArray(assert, children[0], [bookmark1, bookmark2, bookmark4, bookmark7]);
+            assert.deepEqual(children[0].map(function (item) {
+                return item.index;
+            }), [0, 1, 2, 3]);
+            assert.strictEqual(folder.managedSeparators.length, 0);
+            assertBookmarksArray(assert, folder2.getChildren()[0], [bookmark6, bookmark5]);
+            assert.ok(!bookmarkSorter.canUndo());
+            done();
+        });
+
+        bookmarkSorter.sortIfChanged();
+    });
+
+    bookmarkSorter.sortAllBookmarks();
+};
+
+exports.testSortDirtyFolders = function (assert, done) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let folder1 = createFolder("Folder 1", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder1);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder1);
+
+    let folder2 = createFolder("Folder 2", menuFolder);
+    let bookmark3 = createBookmark("B", "http://b.url/", folder2);
+    let bookmark4 = createBookmark("A", "http://a.url/", folder2);
+
+    // Only the changed folder is sorted.
+    bookmarkSorter.once("sorted", function () {
+        assertBookmarksArray(assert, folder1.getChildren()[0], [bookmark2, bookmark1]);
+        assertBookmarksArray(assert, folder2.getChildren()[0], [bookmark3, bookmark4]);
+        done();
+    });
+
+    bookmarkSorter.setChanged([folder1.id]);
+    bookmarkSorter.sortDirtyFolders();
+    assert.strictEqual(bookmarkSorter.dirtyFolders.size, 0);
+};
+
 exports.testSortAll = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let bookmark1 = createBookmark("Title", "http://title.com/", menuFolder);
     // let bookmark2 = createBookmark("Test", "http://test.com/", menuFolder);
@@ -461,7 +1079,7 @@ exports.testSortCaseInsensitive = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -492,11 +1110,35 @@ exports.testSortCaseInsensitive = function (assert) {
     // resetPreferences();
 };
 
+exports.testScheduleSort = function (assert, done) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+    bookmarkSorter.setDelays(200, 600);
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+
+    bookmarkSorter.setChanged([folder.id]);
+    assertBookmarksArray(assert, folder.getChildren()[0], [bookmark1, bookmark2]);
+
+    // Another change starts the delay again, the longer folder delay being used after a folder creation.
+    let start = Date.now();
+    bookmarkSorter.once("sorted", function () {
+        assert.ok(Date.now() - start >= 600);
+        assertBookmarksArray(assert, folder.getChildren()[0], [bookmark2, bookmark1]);
+        assert.ok(!bookmarkSorter.folderCreated);
+        done();
+    });
+
+    bookmarkSorter.setChanged([folder.id], true);
+};
+
 exports.testSortDelay = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -565,7 +1207,7 @@ exports.testSortOrder = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // prefs.folder_sort_order = 1;
     // prefs.livemark_sort_order = 2;
@@ -634,11 +1276,59 @@ exports.testSortOrder = function (assert) {
     // resetPreferences();
 };
 
+exports.testSortByTypeCriteria = function (assert) {
+    prefs.smart_bookmark_sort_order = 2;
+    prefs.query_sort_order = 3;
+
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {query: {criteria: "title", reverse: true}}, getSortOrder());
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder);
+    let query1 = createBookmark("A query", "place:sort=8&maxResults=10", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+    let query2 = createBookmark("B query", "place:sort=4&maxResults=10", folder);
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+    assertBookmarksArray(assert, folder.getChildren()[0], [query2, query1, bookmark2, bookmark1]);
+
+    // The query bookmarks are sorted with the bookmarks when they share the same sort order.
+    prefs.query_sort_order = 4;
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {query: {criteria: "title", reverse: true}}, getSortOrder());
+
+    bookmarkSorter.sortFolder(folder);
+    folder.save();
+    assertBookmarksArray(assert, folder.getChildren()[0], [bookmark2, query1, bookmark1, query2]);
+
+    resetPreferences();
+};
+
+exports.testSortRule = function (assert, done) {
+    let bookmarkSorter = new BookmarkSorter();
+    let sortRule = compileSortRule("type == \"folder\" and startsWith(title, \"_\"); keyword != \"\"; host desc").keys;
+    bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, {}, undefined, [], [], false, 0, "none", sortRule);
+
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("A", "http://a.url/", folder);
+    let folder1 = createFolder("B", folder);
+    let bookmark2 = createBookmark("C", "http://www.c.url/", folder);
+    let folder2 = createFolder("_Z", folder);
+    let bookmark3 = createBookmark("D", "http://a.url/", folder);
+    let bookmark4 = createBookmark("E", "http://b.url/", folder);
+    setKeyword(bookmark4, "e").then(function () {
+        bookmarkSorter.sortFolder(folder);
+        folder.save();
+        assertBookmarksArray(assert, folder.getChildren()[0], [folder2, bookmark4, bookmark2, bookmark1, bookmark3, folder1]);
+        done();
+    });
+};
+
 exports.testSortByAccessCount = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("accessCount", false, undefined, false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "accessCount", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -698,7 +1388,7 @@ exports.testSortByAccessCountAndLastVisited = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("accessCount", false, "lastVisited", false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "accessCount", reverse: false}, {criteria: "lastVisited", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -758,7 +1448,7 @@ exports.testSortByAccessCountAndTitle = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("accessCount", false, "title", false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "accessCount", reverse: false}, {criteria: "title", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -818,7 +1508,7 @@ exports.testSortByAccessCountReverseAndLastVisitedReverse = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("accessCount", true, "lastVisited", true, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "accessCount", reverse: true}, {criteria: "lastVisited", reverse: true}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -878,7 +1568,7 @@ exports.testSortByDateAdded = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("lastModified", false, undefined, false, "lastModified", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "lastModified", reverse: false}], {folder: {criteria: "lastModified", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -938,7 +1628,7 @@ exports.testSortByDescription = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("description", false, undefined, false, "description", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "description", reverse: false}], {folder: {criteria: "description", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -998,7 +1688,7 @@ exports.testSortByDescriptionAndTitle = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("description", false, "title", false, "description", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "description", reverse: false}, {criteria: "title", reverse: false}], {folder: {criteria: "description", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1054,11 +1744,41 @@ exports.testSortByDescriptionAndTitle = function (assert) {
     // resetPreferences();
 };
 
+exports.testSortByFrecency = function (assert, done) {
+    let bookmarkSorter = new BookmarkSorter();
+    bookmarkSorter.setCriteria([{criteria: "frecency", reverse: true}, {criteria: "title", reverse: false}], {}, getSortOrder());
+
+    let now = Date.now();
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("A", "http://frecency-a.url/", folder);
+    let bookmark2 = createBookmark("B", "http://frecency-b.url/", folder);
+    let bookmark3 = createBookmark("C", "http://frecency-c.url/", folder);
+    let bookmark4 = createBookmark("D", "http://frecency-d.url/", folder);
+
+    Promise.all([
+        setVisits(bookmark2, [now - 1000]),
+        setVisits(bookmark3, [now - 1000, now - 2000, now - 3000, now - 4000, now - 5000]),
+        setVisits(bookmark4, [now - 1000, now - 2000]),
+    ]).then(function () {
+        bookmarkSorter.sortFolder(folder);
+        folder.save();
+
+        let children = folder.getChildren()[0];
+        assertBookmarksArray(assert, children, [bookmark3, bookmark4, bookmark2, bookmark1]);
+
+        folder.loadFrecencies();
+        assert.ok(children[0].frecency > children[1].frecency);
+        assert.ok(children[1].frecency > children[2].frecency);
+        assert.ok(children[2].frecency > children[3].frecency);
+        done();
+    });
+};
+
 exports.testSortByLastModified = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("lastModified", false, undefined, false, "lastModified", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "lastModified", reverse: false}], {folder: {criteria: "lastModified", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1118,7 +1838,7 @@ exports.testSortByLastVisited = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("lastVisited", false, undefined, false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "lastVisited", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1178,7 +1898,7 @@ exports.testSortByKeyword = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("keyword", false, undefined, false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "keyword", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1238,7 +1958,7 @@ exports.testSortByTitle = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1289,7 +2009,7 @@ exports.testSortByTitleAndAccessCount = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, "accessCount", false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}, {criteria: "accessCount", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1349,7 +2069,7 @@ exports.testSortByTitleAndDescription = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, "description", false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}, {criteria: "description", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1409,7 +2129,7 @@ exports.testSortByTitleAndURL = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", false, "url", false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: false}, {criteria: "url", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1460,7 +2180,7 @@ exports.testSortByTitleReverse = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", true, undefined, false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: true}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1511,7 +2231,7 @@ exports.testSortByTitleReverseAndURL = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", true, "url", false, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: true}, {criteria: "url", reverse: false}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1562,7 +2282,7 @@ exports.testSortByTitleReverseAndURLReverse = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("title", true, "url", true, "title", false, false);
+    // bookmarkSorter.setCriteria([{criteria: "title", reverse: true}, {criteria: "url", reverse: true}], {folder: {criteria: "title", reverse: false}}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1613,7 +2333,7 @@ exports.testSortByURL = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("url", false, undefined, false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "url", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1664,7 +2384,7 @@ exports.testSortByRevURL = function (assert) {
     // deleteAllBookmarks();
 
     // let bookmarkSorter = new BookmarkSorter();
-    // bookmarkSorter.setCriteria("revurl", false, undefined, false, undefined, false, false);
+    // bookmarkSorter.setCriteria([{criteria: "revurl", reverse: false}], {}, {});
 
     // let folder = createFolder("Folder", menuFolder);
 
@@ -1711,4 +2431,51 @@ exports.testSortByRevURL = function (assert) {
     // resetPreferences();
 };
 
+exports.testTreeSnapshot = function (assert, done) {
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("B", "http://b.url/", folder);
+    let bookmark2 = createBookmark("A", "http://a.url/", folder);
+    createSeparator(folder);
+    let subFolder = createFolder("C", folder);
+    createBookmark("D", "http://d.url/", subFolder);
+    createBookmark("Most Visited", "place:sort=8&maxResults=10", folder);
+    setDescription(bookmark1, "Description");
+    setAnchorAnnotation(bookmark2.id, 0);
+
+    setKeyword(bookmark2, "a").then(function () {
+        let snapshot = new TreeSnapshot();
+
+        let liveFolders = folder.getFolders();
+        let liveChildren = folder.getChildren();
+        let snapshotFolders = runWithSnapshot(snapshot, function () {
+            return folder.getFolders();
+        });
+        let snapshotChildren = runWithSnapshot(snapshot, function () {
+            return folder.getChildren();
+        });
+
+        assert.deepEqual(getItemProperties(snapshotFolders), getItemProperties(liveFolders));
+        assert.strictEqual(snapshotChildren.length, 2);
+        assert.deepEqual(snapshotChildren.map(getItemProperties), liveChildren.map(getItemProperties));
+        assert.strictEqual(snapshotChildren[0][1].keyword, "a");
+        assert.strictEqual(snapshotChildren[0][0].description, "Description");
+        assert.strictEqual(snapshotChildren[0][1].anchor, 0);
+
+        // The folders changed after the snapshot are sorted from the bookmarks service.
+        assert.ok(snapshot.isCurrent(folder.id));
+        let bookmark3 = createBookmark("0", "http://0.url/", folder);
+        move(bookmark3, 0);
+        assert.ok(!snapshot.isCurrent(folder.id));
+        assert.ok(snapshot.isCurrent(subFolder.id));
+
+        let bookmarkSorter = new BookmarkSorter();
+        bookmarkSorter.setCriteria([{criteria: "title", reverse: false}], {}, getSortOrder());
+        bookmarkSorter.once("sorted", function () {
+            assertBookmarksArray(assert, folder.getChildren()[0], [bookmark2, bookmark3, bookmark1]);
+            done();
+        });
+        bookmarkSorter.sortFolders([folder], snapshot);
+    });
+};
+
 require("sdk/test").run(exports);
@@ -0,0 +1,60 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {parseCriteria, stringifyCriteria} = require("lib/criteria");
+
+exports.testParseCriteria = function (assert) {
+    assert.deepEqual(parseCriteria("title"), [{criteria: "title", reverse: false}]);
+    assert.deepEqual(parseCriteria("accessCount desc, lastVisited desc, title, url asc"), [
+        {criteria: "accessCount", reverse: true},
+        {criteria: "lastVisited", reverse: true},
+        {criteria: "title", reverse: false},
+        {criteria: "url", reverse: false},
+    ]);
+    assert.deepEqual(parseCriteria(" revurl  DESC ,"), [{criteria: "revurl", reverse: true}]);
+    assert.deepEqual(parseCriteria("scheme, host, path desc, cleanurl, site"), [
+        {criteria: "scheme", reverse: false},
+        {criteria: "host", reverse: false},
+        {criteria: "path", reverse: true},
+        {criteria: "cleanurl", reverse: false},
+        {criteria: "site", reverse: false},
+    ]);
+    assert.deepEqual(parseCriteria("frecency desc, descendantCount desc, childCount"), [
+        {criteria: "frecency", reverse: true},
+        {criteria: "descendantCount", reverse: true},
+        {criteria: "childCount", reverse: false},
+    ]);
+    assert.deepEqual(parseCriteria("unknown, title sideways, keyword"), [{criteria: "keyword", reverse: false}]);
+    assert.deepEqual(parseCriteria(""), []);
+    assert.deepEqual(parseCriteria(undefined), []);
+};
+
+exports.testStringifyCriteria = function (assert) {
+    assert.strictEqual(stringifyCriteria([]), "");
+    assert.strictEqual(stringifyCriteria([{criteria: "title", reverse: false}]), "title");
+    assert.strictEqual(stringifyCriteria([
+        {criteria: "accessCount", reverse: true},
+        {criteria: "title", reverse: false},
+    ]), "accessCount desc, title");
+
+    let value = "accessCount desc, lastVisited desc, title, url";
+    assert.strictEqual(stringifyCriteria(parseCriteria(value)), value);
+};
+
+require("sdk/test").run(exports);
@@ -0,0 +1,54 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {computeFrecency, getFolderFrecencies} = require("lib/frecency");
+const {menuFolder} = require("lib/bookmarks");
+const {createBookmark, createFolder, setVisits} = require("./utils");
+const DAY = 24 * 60 * 60 * 1000 * 1000;
+
+exports.testComputeFrecency = function (assert) {
+    let now = Date.now() * 1000;
+
+    assert.strictEqual(computeFrecency(0, 10, now), 0);
+    assert.strictEqual(computeFrecency(now, 0, now), 0);
+    assert.strictEqual(computeFrecency(now - DAY, 3, now), 300);
+    assert.strictEqual(computeFrecency(now - 10 * DAY, 3, now), 210);
+    assert.strictEqual(computeFrecency(now - 20 * DAY, 3, now), 150);
+    assert.strictEqual(computeFrecency(now - 60 * DAY, 3, now), 90);
+    assert.strictEqual(computeFrecency(now - 3 * 365 * DAY, 3, now), 30);
+
+    // A bookmark used yesterday beats one visited 300 times three years ago.
+    assert.ok(computeFrecency(now - DAY, 31, now) > computeFrecency(now - 3 * 365 * DAY, 300, now));
+};
+
+exports.testGetFolderFrecencies = function (assert, done) {
+    let folder = createFolder("Folder", menuFolder);
+    let bookmark1 = createBookmark("Never visited", "http://never.visited.example/", folder);
+    let bookmark2 = createBookmark("Visited", "http://visited.example/", folder);
+    createFolder("Sub-folder", folder);
+
+    setVisits(bookmark2, [Date.now() - 1000, Date.now() - 2000]).then(function () {
+        let frecencies = getFolderFrecencies(folder.id);
+        assert.strictEqual(frecencies.size, 2);
+        assert.ok(frecencies.get(bookmark2.id) > frecencies.get(bookmark1.id));
+        done();
+    });
+};
+
+require("sdk/test").run(exports);
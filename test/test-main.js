@@ -21,7 +21,7 @@ const {MENU, TOOLBAR, UNSORTED} = require("sdk/places/bookmarks");
 const simplePrefs = require("sdk/simple-prefs");
 const prefs = simplePrefs.prefs;
 const {menuFolder, toolbarFolder, unsortedFolder} = require("lib/bookmarks");
-const {adjustSortCriteria, createEvents, setPreferenceMinimumMaximum} = require("lib/main");
+const {adjustCriteriaMenus, adjustSortCriteria, createEvents, getCollation, migrate, setPreferenceMinimumMaximum} = require("lib/main");
 const {assertBookmarksArray, createBookmark, createFolder, createLivemark, createSeparator, createSmartBookmark, deleteAllBookmarks, deleteItem, ignore, move, rename, resetPreferences, setVisits, sort} = require("./utils");
 
 exports.testAutoSort = function (assert) {
@@ -454,6 +454,78 @@ exports.testAutoSortDelay = function (assert) {
     // resetPreferences();
 };
 
+exports.testCollation = function (assert) {
+    assert.deepEqual(getCollation(), {
+        locale: "",
+        options: {
+            caseFirst: "upper",
+            ignorePunctuation: false,
+            numeric: true,
+            sensitivity: "case",
+        },
+    });
+
+    prefs.case_insensitive = true;
+    assert.strictEqual(getCollation().options.sensitivity, "base");
+
+    prefs.accent_sensitive = true;
+    assert.strictEqual(getCollation().options.sensitivity, "accent");
+
+    prefs.case_insensitive = false;
+    assert.strictEqual(getCollation().options.sensitivity, "variant");
+
+    prefs.collation_locale = " de-u-co-phonebk ";
+    prefs.case_first = "false";
+    prefs.ignore_punctuation = true;
+    prefs.numeric = false;
+    assert.deepEqual(getCollation(), {
+        locale: "de-u-co-phonebk",
+        options: {
+            caseFirst: "false",
+            ignorePunctuation: true,
+            numeric: false,
+            sensitivity: "variant",
+        },
+    });
+
+    resetPreferences();
+};
+
+exports.testCriteriaMenus = function (assert) {
+    prefs.sort_by = 4;
+    prefs.then_sort_by = -1;
+
+    // The menus are only changed for the criterias they offer.
+    prefs.sort_criteria = "childCount desc, title";
+    adjustCriteriaMenus();
+    assert.strictEqual(prefs.sort_by, 4);
+    assert.strictEqual(prefs.then_sort_by, 0);
+
+    prefs.sort_criteria = "url desc, lastActivity";
+    adjustCriteriaMenus();
+    assert.strictEqual(prefs.sort_by, 1);
+    assert.strictEqual(prefs.inverse, true);
+    assert.strictEqual(prefs.then_sort_by, 0);
+
+    resetPreferences();
+};
+
+exports.testMigrate = function (assert) {
+    // The versions are compared by number: 2.9 is older than 2.11, but newer than 2.8.
+    prefs.migration = "2.9.1";
+    prefs.sort_by = 4;
+    prefs.inverse = true;
+    prefs.then_sort_by = 0;
+    prefs.bookmark_sort_order = 2;
+    migrate(true);
+    assert.strictEqual(prefs.sort_criteria, "dateAdded desc, title");
+    assert.strictEqual(prefs.query_sort_order, 2);
+    assert.strictEqual(prefs.folder_sort_by, 0);
+    assert.notStrictEqual(prefs.migration, "2.9.1");
+
+    resetPreferences();
+};
+
 exports.testPreferenceMaximumMinimum = function (assert) {
     setPreferenceMinimumMaximum();
 
@@ -475,6 +547,12 @@ exports.testPreferenceMaximumMinimum = function (assert) {
     prefs.smart_bookmark_sort_order = 5;
     assert.strictEqual(prefs.smart_bookmark_sort_order, 4);
 
+    prefs.query_sort_order = 0;
+    assert.strictEqual(prefs.query_sort_order, 1);
+
+    prefs.query_sort_order = 5;
+    assert.strictEqual(prefs.query_sort_order, 4);
+
     prefs.bookmark_sort_order = 0;
     assert.strictEqual(prefs.bookmark_sort_order, 1);
 
@@ -484,6 +562,9 @@ exports.testPreferenceMaximumMinimum = function (assert) {
     prefs.folder_delay = 2;
     assert.strictEqual(prefs.folder_delay, 3);
 
+    prefs.section_headers_minimum = 0;
+    assert.strictEqual(prefs.section_headers_minimum, 1);
+
     resetPreferences();
 };
 
@@ -0,0 +1,48 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+
+"use strict";
+
+const {getRegistrableDomain, parseList} = require("lib/public-suffix");
+
+exports.testGetRegistrableDomain = function (assert) {
+    assert.strictEqual(getRegistrableDomain("bbc.co.uk"), "bbc.co.uk");
+    assert.strictEqual(getRegistrableDomain("www.bbc.co.uk"), "bbc.co.uk");
+    assert.strictEqual(getRegistrableDomain("news.bbc.co.uk"), "bbc.co.uk");
+    assert.strictEqual(getRegistrableDomain("github.com"), "github.com");
+    assert.strictEqual(getRegistrableDomain("gist.github.com"), "github.com");
+    assert.strictEqual(getRegistrableDomain("bouanto.github.io"), "bouanto.github.io");
+    assert.strictEqual(getRegistrableDomain("co.uk"), "co.uk");
+    assert.strictEqual(getRegistrableDomain("localhost"), "localhost");
+    assert.strictEqual(getRegistrableDomain("example.unknowntld"), "example.unknowntld");
+    assert.strictEqual(getRegistrableDomain("a.example.unknowntld"), "example.unknowntld");
+    assert.strictEqual(getRegistrableDomain("192.168.0.1"), "192.168.0.1");
+    assert.strictEqual(getRegistrableDomain("[::1]"), "[::1]");
+};
+
+exports.testWildcardAndExceptionRules = function (assert) {
+    let list = parseList("// Comment\n\ncom\n*.ck\n!www.ck\nfoo.ck\n");
+
+    assert.strictEqual(getRegistrableDomain("example.com", list), "example.com");
+    assert.strictEqual(getRegistrableDomain("a.b.ck", list), "a.b.ck");
+    assert.strictEqual(getRegistrableDomain("b.ck", list), "b.ck");
+    assert.strictEqual(getRegistrableDomain("www.ck", list), "www.ck");
+    assert.strictEqual(getRegistrableDomain("a.www.ck", list), "www.ck");
+    assert.strictEqual(getRegistrableDomain("a.b.foo.ck", list), "b.foo.ck");
+};
+
+require("sdk/test").run(exports);
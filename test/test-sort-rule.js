@@ -0,0 +1,79 @@
+/*
+ * Copyright (C) 2014-2016  Boucher, Antoni <bouanto@zoho.com>
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE.  See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program.  If not, see <http://www.gnu.org/licenses/>.
+ */
+"use strict";
+
+const {compileSortRule} = require("lib/sort-rule");
+
+function evaluate(expression, fields) {
+    let sortRule = compileSortRule(expression);
+    return sortRule.keys[0].evaluate(function (field) {
+        return fields[field];
+    });
+}
+
+exports.testCompileSortRule = function (assert) {
+    let sortRule = compileSortRule("type == \"folder\" and startsWith(title, \"_\"); keyword != ''; host desc; title asc;");
+    assert.strictEqual(sortRule.errors.length, 0);
+    assert.strictEqual(sortRule.keys.length, 4);
+    assert.deepEqual(sortRule.keys.map(function (key) {
+        return key.reverse;
+    }), [false, false, true, false]);
+
+    // The semicolons in the strings do not separate the keys.
+    sortRule = compileSortRule("contains(title, \"a;b\"); title == 'c\\';d'");
+    assert.strictEqual(sortRule.errors.length, 0);
+    assert.strictEqual(sortRule.keys.length, 2);
+    assert.strictEqual(evaluate("contains(title, \"a;b\")", {title: "xa;bx"}), true);
+    assert.strictEqual(evaluate("title == 'c\\';d'", {title: "c';d"}), true);
+
+    assert.strictEqual(compileSortRule("").keys.length, 0);
+    assert.strictEqual(compileSortRule(undefined).keys.length, 0);
+};
+
+exports.testEvaluate = function (assert) {
+    let folder = {type: "folder", title: "_Archive", keyword: "", accessCount: 3, tags: "news, work"};
+
+    assert.strictEqual(evaluate("type == \"folder\" and startsWith(title, \"_\")", folder), true);
+    assert.strictEqual(evaluate("type == 'bookmark' or endsWith(title, 'chive')", folder), true);
+    assert.strictEqual(evaluate("not (keyword != \"\")", folder), true);
+    assert.strictEqual(evaluate("accessCount >= 3 and accessCount < 4", folder), true);
+    assert.strictEqual(evaluate("contains(tags, \"work\")", folder), true);
+    assert.strictEqual(evaluate("contains(tags, \"sport\")", folder), false);
+    assert.strictEqual(evaluate("lower(title)", folder), "_archive");
+    assert.strictEqual(evaluate("upper(title)", folder), "_ARCHIVE");
+    assert.strictEqual(evaluate("length(title)", folder), 8);
+    assert.strictEqual(evaluate("title == \"a \\\"quoted\\\" title\"", {title: "a \"quoted\" title"}), true);
+    assert.strictEqual(evaluate("false or true and false", folder), false);
+    assert.strictEqual(evaluate("accessCount", folder), 3);
+};
+
+exports.testErrors = function (assert) {
+    let sortRule = compileSortRule("titel; title ==; startsWith(title); eval(title); title \"x\"; title # 1; title; ( title; 'abc; title");
+    assert.strictEqual(sortRule.keys.length, 1);
+    assert.deepEqual(sortRule.errors, [
+        "Key 1 (titel): Unknown field 'titel' at column 1. The fields are: title, url, host, keyword, description, dateAdded, lastModified, lastVisited, accessCount, frecency, type, tags.",
+        "Key 2 (title ==): Unexpected end of expression.",
+        "Key 3 (startsWith(title)): The function 'startsWith' at column 2 takes 2 argument(s) but got 1.",
+        "Key 4 (eval(title)): Unknown function 'eval' at column 2. The functions are: contains, endsWith, length, lower, startsWith, upper.",
+        "Key 5 (title \"x\"): Unexpected 'x' at column 8.",
+        "Key 6 (title # 1): Unexpected character '#' at column 8.",
+        "Key 8 (( title): Expected ')' but found end of expression.",
+        "Key 9 ('abc; title): Unterminated string starting at column 2.",
+    ]);
+};
+
+require("sdk/test").run(exports);
@@ -286,7 +286,7 @@ function rename(item, newName) {
  * Reset the preferences to their default value.
  */
 function resetPreferences() {
-    let preferences = ["auto_sort", "delay", "folder_delay", "sort_menu", "sort_toolbar", "sort_unsorted", "sort_by", "inverse", "then_sort_by", "then_inverse", "folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "bookmark_sort_order", "show_tools_menu_item", "show_bookmarks_menu_item", "show_bookmarks_toolbar_menu_item", "show_bookmarks_manager_menu_item"];
+    let preferences = ["auto_sort", "delay", "folder_delay", "sort_menu", "sort_toolbar", "sort_unsorted", "case_insensitive", "accent_sensitive", "ignore_punctuation", "case_first", "numeric", "collation_locale", "ignored_prefixes_language", "ignored_prefixes", "normalization_rules", "sort_criteria", "sort_rule", "sort_by", "inverse", "then_sort_by", "then_inverse", "group_by_domain", "section_headers", "section_headers_minimum", "date_sections", "folder_sort_by", "folder_inverse", "livemark_sort_by", "livemark_inverse", "smart_bookmark_sort_by", "smart_bookmark_inverse", "query_sort_by", "query_inverse", "folder_sort_order", "livemark_sort_order", "smart_bookmark_sort_order", "query_sort_order", "bookmark_sort_order", "show_tools_menu_item", "show_bookmarks_menu_item", "show_bookmarks_toolbar_menu_item", "show_bookmarks_manager_menu_item", "migration"];
     for (let preference of preferences) {
         reset(getOptionName(preference));
     }